@@ -0,0 +1,175 @@
+import { MAPPABLE_FIELDS } from "../lib/columnMapping";
+import { FIELD_LABELS } from "../lib/fields";
+import { mapPreviewRows } from "../lib/uploadParse";
+import { readUploadRow } from "../lib/verifyEngine";
+
+// Column-mapping step shown after a file is chosen: one file column per canonical field, with the
+// automatic suggestion and its confidence, plus the first rows as verification will read them.
+export default function ColumnMapper({ headers, suggestions, mapping, previewRows, transforms, onChange, disabled }) {
+  const setField = (field, header) => {
+    const next = { ...mapping, [field]: header || null };
+    // A column feeds one field; taking it moves it off the previous one
+    MAPPABLE_FIELDS.forEach((other) => {
+      if (other !== field && header && next[other] === header) next[other] = null;
+    });
+    onChange(next);
+  };
+
+  const resetToSuggestions = () =>
+    onChange(Object.fromEntries(MAPPABLE_FIELDS.map((field) => [field, suggestions[field]?.header ?? null])));
+
+  const mappedHeaders = new Set(Object.values(mapping).filter(Boolean));
+  const otherHeaders = headers.filter((header) => !mappedHeaders.has(header));
+  const preview = mapPreviewRows(previewRows, mapping, transforms).map((row) => readUploadRow(row).values);
+
+  const suggestionNote = (field) => {
+    const suggestion = suggestions[field];
+    if (!mapping[field]) return suggestion ? `Suggested: ${suggestion.header}` : "No matching column";
+    if (suggestion?.header !== mapping[field]) return "Set manually";
+    return `Auto · ${Math.round(suggestion.confidence * 100)}%`;
+  };
+
+  const noteClass = (field) => {
+    const suggestion = suggestions[field];
+    if (!mapping[field] || suggestion?.header !== mapping[field]) return "mapper-note";
+    return suggestion.confidence >= 0.9 ? "mapper-note mapper-sure" : "mapper-note mapper-unsure";
+  };
+
+  return (
+    <section className="column-mapper">
+      <div className="mapper-heading">
+        <strong>Column mapping</strong>
+        <span className="mapper-note">
+          {headers.length} columns detected. Check the mapping before verifying.
+        </span>
+        <button type="button" onClick={resetToSuggestions} disabled={disabled}>
+          Reset to suggestions
+        </button>
+      </div>
+
+      <table className="mapper-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>File column</th>
+            <th>Suggestion</th>
+          </tr>
+        </thead>
+        <tbody>
+          {MAPPABLE_FIELDS.map((field) => (
+            <tr key={field}>
+              <td>{FIELD_LABELS[field]}</td>
+              <td>
+                <select
+                  value={mapping[field] || ""}
+                  onChange={(e) => setField(field, e.target.value)}
+                  disabled={disabled}
+                >
+                  <option value="">— not mapped —</option>
+                  {headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header || "(blank header)"}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td className={noteClass(field)}>{suggestionNote(field)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {(!mapping.manufacturer || !mapping.model) && (
+        <p className="mapper-warning">
+          Manufacturer and model are needed for ATF matching; without them rows can only verify by UPC.
+        </p>
+      )}
+      {otherHeaders.length > 0 && (
+        <p className="mapper-note">Other columns (carried into the results): {otherHeaders.join(", ")}</p>
+      )}
+
+      {preview.length > 0 && (
+        <div className="mapper-preview">
+          <div className="mapper-note">First {preview.length} rows as they will be verified:</div>
+          <table className="mapper-table">
+            <thead>
+              <tr>
+                {MAPPABLE_FIELDS.map((field) => (
+                  <th key={field}>{FIELD_LABELS[field]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map((values, i) => (
+                <tr key={i}>
+                  {MAPPABLE_FIELDS.map((field) => (
+                    <td key={field}>{String(values[FIELD_LABELS[field]] ?? "") || "—"}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <style jsx>{`
+        .column-mapper {
+          margin: 12px 0;
+          padding: 12px 16px;
+          max-width: 960px;
+          border: 1px solid #d8e0eb;
+          border-radius: 8px;
+          background: #f7f9fc;
+          font-size: 13px;
+        }
+
+        .mapper-heading {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+        }
+
+        .mapper-heading button {
+          margin-left: auto;
+          padding: 4px 10px;
+          cursor: pointer;
+        }
+
+        .mapper-table {
+          border-collapse: collapse;
+          margin-top: 8px;
+        }
+
+        .mapper-table th,
+        .mapper-table td {
+          padding: 4px 10px;
+          text-align: left;
+          border-bottom: 1px solid #e4e9f1;
+        }
+
+        .mapper-note {
+          color: #475467;
+        }
+
+        .mapper-sure {
+          color: #166534;
+        }
+
+        .mapper-unsure {
+          color: #aa5b00;
+        }
+
+        .mapper-warning {
+          margin: 8px 0 0;
+          color: #aa5b00;
+        }
+
+        .mapper-preview {
+          margin-top: 10px;
+          overflow-x: auto;
+        }
+      `}</style>
+    </section>
+  );
+}
@@ -0,0 +1,268 @@
+import { useEffect, useState } from "react";
+import { MAPPABLE_FIELDS, VALUE_TRANSFORMS } from "../lib/columnMapping";
+import { FIELD_LABELS } from "../lib/fields";
+import { DELIMITER_OPTIONS, ENCODING_OPTIONS } from "../lib/importProfiles";
+
+// Import settings above the column mapping: the saved profile in use (auto-detected from the file's
+// headers when one matches), how to read the file, value clean-ups, and saving all of it as a profile.
+// `format` is what was sniffed from the file (see fileFormat) and fills the "Detect" choices;
+// `fixedFormat` (Excel sheets, read as UTF-8 CSV) locks the delimiter and encoding. Profiles are shared
+// and applied to everyone's uploads, so saving and deleting them needs `signedIn`.
+export default function ImportProfiles({
+  profiles,
+  profileId,
+  detected,
+  settings,
+  format,
+  onSelect,
+  onSettingsChange,
+  onSave,
+  onDelete,
+  canSave,
+  signedIn,
+  fixedFormat,
+  disabled,
+}) {
+  const selected = profiles.find((profile) => profile.id === profileId) || null;
+  const [name, setName] = useState("");
+
+  useEffect(() => {
+    setName(selected?.name || "");
+  }, [selected?.name]);
+
+  const optionLabel = (options, value) => options.find((option) => option.value === value)?.label;
+  const detectedDelimiter = format && optionLabel(DELIMITER_OPTIONS, format.delimiter);
+  const detectedEncoding = format && `${optionLabel(ENCODING_OPTIONS, format.encoding)}${format.bom ? " (BOM)" : ""}`;
+  const withDetected = (label, value, detected) => (value === "" && detected ? `${label}: ${detected}` : label);
+
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const updateTransform = (index, changes) =>
+    update({ transforms: settings.transforms.map((t, i) => (i === index ? { ...t, ...changes } : t)) });
+  const addTransform = () =>
+    update({ transforms: [...settings.transforms, { field: "model", op: "trim", arg: "", to: "" }] });
+  const removeTransform = (index) => update({ transforms: settings.transforms.filter((_, i) => i !== index) });
+
+  return (
+    <section className="import-profiles">
+      <div className="profiles-row">
+        <label>
+          <strong>Import profile</strong>{" "}
+          <select
+            value={profileId ?? ""}
+            onChange={(e) => onSelect(e.target.value === "" ? null : Number(e.target.value))}
+            disabled={disabled}
+          >
+            <option value="">— none —</option>
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {detected && detected.profileId === profileId && (
+          <span className="profiles-note profiles-detected">
+            Auto-detected from the file headers ({Math.round(detected.score * 100)}% match)
+          </span>
+        )}
+        {selected && (
+          <button type="button" onClick={() => onDelete(selected.id)} disabled={disabled || !signedIn}>
+            Delete profile
+          </button>
+        )}
+      </div>
+
+      <div className="profiles-row">
+        <label>
+          Delimiter{" "}
+          <select
+            value={settings.delimiter}
+            onChange={(e) => update({ delimiter: e.target.value })}
+            disabled={disabled || fixedFormat}
+          >
+            {DELIMITER_OPTIONS.map(({ value, label }) => (
+              <option key={label} value={value}>
+                {withDetected(label, value, detectedDelimiter)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Encoding{" "}
+          <select
+            value={settings.encoding}
+            onChange={(e) => update({ encoding: e.target.value })}
+            disabled={disabled || fixedFormat}
+          >
+            {ENCODING_OPTIONS.map(({ value, label }) => (
+              <option key={label} value={value}>
+                {withDetected(label, value, detectedEncoding)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label title="Title or report lines above the column headers">
+          Lines before header{" "}
+          <input
+            type="number"
+            min={0}
+            max={50}
+            value={settings.headerRow}
+            onChange={(e) => update({ headerRow: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+            disabled={disabled}
+            style={{ width: 52 }}
+          />
+        </label>
+        {format && !fixedFormat && (
+          <span className="profiles-note">
+            Detected: {detectedEncoding} · {detectedDelimiter}
+          </span>
+        )}
+      </div>
+
+      {settings.transforms.length > 0 && (
+        <table className="profiles-transforms">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Clean-up</th>
+              <th>Text</th>
+              <th>Replace with</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {settings.transforms.map((transform, i) => {
+              const takesArg = VALUE_TRANSFORMS[transform.op]?.takesArg;
+              return (
+                <tr key={i}>
+                  <td>
+                    <select
+                      value={transform.field}
+                      onChange={(e) => updateTransform(i, { field: e.target.value })}
+                      disabled={disabled}
+                    >
+                      {MAPPABLE_FIELDS.map((field) => (
+                        <option key={field} value={field}>
+                          {FIELD_LABELS[field]}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <select
+                      value={transform.op}
+                      onChange={(e) => updateTransform(i, { op: e.target.value })}
+                      disabled={disabled}
+                    >
+                      {Object.entries(VALUE_TRANSFORMS).map(([op, { label }]) => (
+                        <option key={op} value={op}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    {takesArg && (
+                      <input
+                        value={transform.arg || ""}
+                        onChange={(e) => updateTransform(i, { arg: e.target.value })}
+                        disabled={disabled}
+                      />
+                    )}
+                  </td>
+                  <td>
+                    {transform.op === "replace" && (
+                      <input
+                        value={transform.to || ""}
+                        onChange={(e) => updateTransform(i, { to: e.target.value })}
+                        disabled={disabled}
+                      />
+                    )}
+                  </td>
+                  <td>
+                    <button type="button" onClick={() => removeTransform(i)} disabled={disabled}>
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div className="profiles-row">
+        <button type="button" onClick={addTransform} disabled={disabled}>
+          Add clean-up
+        </button>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Profile name"
+          disabled={disabled}
+        />
+        <button
+          type="button"
+          onClick={() => onSave(name)}
+          disabled={disabled || !signedIn || !canSave || !name.trim()}
+        >
+          {selected && name.trim() === selected.name ? "Update profile" : "Save as profile"}
+        </button>
+        <span className="profiles-note">
+          {!signedIn && "Sign in to save or delete profiles."}
+          {signedIn && (canSave ? "Saves these settings and the column mapping below." : "Choose a file to save a profile.")}
+        </span>
+      </div>
+
+      <style jsx>{`
+        .import-profiles {
+          margin: 12px 0;
+          padding: 12px 16px;
+          max-width: 960px;
+          border: 1px solid #d8e0eb;
+          border-radius: 8px;
+          background: #f7f9fc;
+          font-size: 13px;
+        }
+
+        .profiles-row {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+          margin-top: 8px;
+        }
+
+        .profiles-row:first-child {
+          margin-top: 0;
+        }
+
+        .profiles-row button {
+          padding: 4px 10px;
+          cursor: pointer;
+        }
+
+        .profiles-note {
+          color: #475467;
+        }
+
+        .profiles-detected {
+          color: #166534;
+        }
+
+        .profiles-transforms {
+          border-collapse: collapse;
+          margin-top: 8px;
+        }
+
+        .profiles-transforms th,
+        .profiles-transforms td {
+          padding: 4px 10px;
+          text-align: left;
+          border-bottom: 1px solid #e4e9f1;
+        }
+      `}</style>
+    </section>
+  );
+}
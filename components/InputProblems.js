@@ -0,0 +1,123 @@
+import { MAX_LISTED_PROBLEMS } from "../lib/uploadParse";
+
+// "Input problems" panel: parser errors with their file line and row text, skipped-row counts and
+// the include/exclude choice for malformed rows. `summary` comes from createUploadReader.
+export default function InputProblems({ summary, includeMalformed, onToggleInclude, disabled }) {
+  if (!summary || (summary.problemCount === 0 && summary.blankRows === 0)) return null;
+  const skipped = summary.blankRows + (includeMalformed ? 0 : summary.malformedRows);
+
+  return (
+    <details className="input-problems" open={summary.problemCount > 0}>
+      <summary>
+        Input problems: {summary.problemCount} problem{summary.problemCount === 1 ? "" : "s"} on{" "}
+        {summary.malformedRows} malformed row{summary.malformedRows === 1 ? "" : "s"} • {skipped} row
+        {skipped === 1 ? "" : "s"} skipped
+      </summary>
+
+      <div className="input-problems-body">
+        {summary.malformedRows > 0 && (
+          <label>
+            <input type="checkbox" checked={includeMalformed} onChange={onToggleInclude} disabled={disabled} />{" "}
+            Include malformed rows in verification (their problems are noted in the results and export)
+          </label>
+        )}
+        <div className="input-problems-counts">
+          {summary.blankRows} blank row{summary.blankRows === 1 ? "" : "s"} skipped
+          {!includeMalformed && summary.malformedRows > 0 && ` • ${summary.malformedRows} malformed rows excluded`}
+        </div>
+
+        {summary.problems.length > 0 && (
+          <table>
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Problem</th>
+                <th>Row text</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.problems.map((problem, i) => (
+                <tr key={i}>
+                  <td>{problem.line ?? "—"}</td>
+                  <td>{problem.message}</td>
+                  <td>
+                    <code>{problem.text}</code>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {summary.problemCount > summary.problems.length && (
+          <div className="input-problems-counts">
+            Showing the first {MAX_LISTED_PROBLEMS} of {summary.problemCount} problems.
+          </div>
+        )}
+      </div>
+
+      <style jsx>{`
+        .input-problems {
+          margin-top: 12px;
+          max-width: 960px;
+          border: 1px solid #f3d19c;
+          border-radius: 8px;
+          background: #fffaf2;
+          font-size: 13px;
+        }
+
+        .input-problems summary {
+          cursor: pointer;
+          padding: 8px 12px;
+          font-weight: 600;
+          color: #aa5b00;
+        }
+
+        .input-problems-body {
+          padding: 0 12px 12px;
+        }
+
+        .input-problems-counts {
+          margin: 6px 0;
+          color: #475467;
+        }
+
+        table {
+          border-collapse: collapse;
+          width: 100%;
+          margin-top: 6px;
+        }
+
+        th,
+        td {
+          padding: 4px 8px;
+          text-align: left;
+          vertical-align: top;
+          border-bottom: 1px solid #f3e3c7;
+        }
+
+        td code {
+          white-space: pre-wrap;
+          overflow-wrap: anywhere;
+        }
+
+        tbody {
+          display: block;
+          max-height: 280px;
+          overflow: auto;
+        }
+
+        thead,
+        tbody tr {
+          display: table;
+          width: 100%;
+          table-layout: fixed;
+        }
+
+        th:first-child,
+        td:first-child {
+          width: 70px;
+        }
+      `}</style>
+    </details>
+  );
+}
@@ -0,0 +1,704 @@
+import { Fragment, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { FIELD_LABELS, fieldKeyForHeader } from "../lib/fields";
+import {
+  MATCH_SOURCE,
+  ORIGIN_COLUMNS,
+  STATUS,
+  formatConfidence,
+  formatTrace,
+  originLabel,
+  statusLabel,
+} from "../lib/verifyEngine";
+
+// Virtualized results grid: only the rows in view (plus a margin) are rendered. Row heights vary with
+// cell notes and open detail drawers, so rendered rows are measured and the rest use an estimate.
+const ESTIMATED_ROW_HEIGHT = 56;
+const OVERSCAN_ROWS = 8;
+const MIN_COLUMN_WIDTH = 70;
+const DEFAULT_COLUMN_WIDTHS = { Status: 200, Confidence: 120 };
+const DEFAULT_COLUMN_WIDTH = 170;
+
+// Worst first when sorting by status
+const STATUS_SORT_ORDER = [
+  STATUS.NOT_VERIFIED,
+  STATUS.INVALID_UPC,
+  STATUS.UPC_UNKNOWN,
+  STATUS.NEEDS_REVIEW,
+  STATUS.UNKNOWN,
+  STATUS.VERIFIED,
+];
+
+const CANDIDATE_SOURCE_LABELS = {
+  [MATCH_SOURCE.UPC]: "UPC",
+  [MATCH_SOURCE.ATF]: "ATF fields",
+  [MATCH_SOURCE.FALLBACK]: "Manufacturer + model",
+  [MATCH_SOURCE.FUZZY]: "Similar name",
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+const getStatusPill = (status) => {
+  switch (status) {
+    case STATUS.VERIFIED:
+      return { icon: "✅", label: "Verified", className: "pill-success" };
+    case STATUS.NEEDS_REVIEW:
+      return { icon: "⚠️", label: "Needs review", className: "pill-warning" };
+    case STATUS.UPC_UNKNOWN:
+      return { icon: "⚠️", label: "ATF match / UPC unknown", className: "pill-warning" };
+    case STATUS.INVALID_UPC:
+      return { icon: "⚠️", label: "Invalid UPC", className: "pill-warning" };
+    case STATUS.NOT_VERIFIED:
+      return { icon: "🔴", label: "Not verified", className: "pill-error" };
+    default:
+      return { icon: "🛈", label: "Unknown", className: "pill-unknown" };
+  }
+};
+
+const isStatusHeader = (header) => header.toLowerCase() === "status";
+
+// Upload value of a column; the source columns of multi-file runs come from the result's origin
+const uploadValue = (result, header) =>
+  Object.hasOwn(ORIGIN_COLUMNS, header) ? result.origin?.[ORIGIN_COLUMNS[header]] : result.values[header];
+
+const sortValue = (result, header) => {
+  if (isStatusHeader(header)) return STATUS_SORT_ORDER.indexOf(result.status);
+  if (header === "Confidence") return typeof result.confidence === "number" ? result.confidence : -1;
+  return String(uploadValue(result, header) ?? "");
+};
+
+const compareResults = (a, b, header) => {
+  const va = sortValue(a, header);
+  const vb = sortValue(b, header);
+  const order = typeof va === "number" ? va - vb : collator.compare(va, vb);
+  return order || a.index - b.index;
+};
+
+const searchTextCache = new WeakMap();
+const searchTextOf = (result) => {
+  if (!searchTextCache.has(result)) {
+    const origin = result.origin ? originLabel(result.origin) : "";
+    const text = [statusLabel(result), origin, ...Object.values(result.values).map((value) => String(value ?? ""))]
+      .join("\n")
+      .toLowerCase();
+    searchTextCache.set(result, text);
+  }
+  return searchTextCache.get(result);
+};
+
+// First row index whose bottom edge is below `y`
+const rowAtOffset = (offsets, y) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] <= y) low = mid + 1;
+    else high = mid;
+  }
+  return Math.max(0, low);
+};
+
+const downloadTrace = (result) => {
+  const blob = new Blob([formatTrace(result)], { type: "text/plain;charset=utf-8;" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `ffl-verifier-row-${result.index + 1}-trace.txt`;
+  link.click();
+};
+
+const copyTrace = async (result) => {
+  try {
+    await navigator.clipboard.writeText(formatTrace(result));
+  } catch (e) {
+    downloadTrace(result);
+  }
+};
+
+export default function ResultsGrid({ results, headers, emptyMessage = "No rows match the selected filters." }) {
+  // ---------- state ----------
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState(null); // { header, direction: 1 | -1 }
+  const [hiddenColumns, setHiddenColumns] = useState([]);
+  const [columnWidths, setColumnWidths] = useState({});
+  const [expandedRows, setExpandedRows] = useState([]);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+  const [measureVersion, setMeasureVersion] = useState(0);
+  const scrollRef = useRef(null);
+  const bodyRef = useRef(null);
+  const rowHeights = useRef(new Map()); // result index -> measured height (row + open drawer)
+
+  const visibleHeaders = headers.filter((header) => isStatusHeader(header) || !hiddenColumns.includes(header));
+  const widthOf = (header) => columnWidths[header] ?? DEFAULT_COLUMN_WIDTHS[header] ?? DEFAULT_COLUMN_WIDTH;
+  const tableWidth = visibleHeaders.reduce((sum, header) => sum + widthOf(header), 0);
+
+  const candidateKeys = useMemo(() => {
+    const withCandidates = results.find((r) => r.candidates?.length > 0);
+    return withCandidates ? Object.keys(withCandidates.candidates[0].fields) : [];
+  }, [results]);
+
+  // ---------- search + sort ----------
+  const rows = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const matched = needle ? results.filter((r) => searchTextOf(r).includes(needle)) : results;
+    if (!sort) return matched;
+    return [...matched].sort((a, b) => sort.direction * compareResults(a, b, sort.header));
+  }, [results, query, sort]);
+
+  // A new run starts from an empty result list
+  useEffect(() => {
+    if (results.length > 0) return;
+    setExpandedRows([]);
+    rowHeights.current.clear();
+  }, [results.length]);
+
+  const toggleSort = (header) =>
+    setSort((prev) => {
+      if (prev?.header !== header) return { header, direction: 1 };
+      if (prev.direction === 1) return { header, direction: -1 };
+      return null;
+    });
+
+  const toggleColumn = (header) =>
+    setHiddenColumns((prev) => (prev.includes(header) ? prev.filter((h) => h !== header) : [...prev, header]));
+
+  const toggleDetails = (index) =>
+    setExpandedRows((prev) => (prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index]));
+
+  // Drag the right edge of a header to resize its column
+  const startResize = (e, header) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widthOf(header);
+    const onMove = (moveEvent) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      setColumnWidths((prev) => ({ ...prev, [header]: width }));
+    };
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  };
+
+  // ---------- virtualization ----------
+  const offsets = useMemo(() => {
+    const out = new Float64Array(rows.length + 1);
+    rows.forEach((r, i) => {
+      out[i + 1] = out[i] + (rowHeights.current.get(r.index) ?? ESTIMATED_ROW_HEIGHT);
+    });
+    return out;
+    // measureVersion: recompute after rendered rows report new heights
+  }, [rows, measureVersion]);
+
+  const totalHeight = offsets[rows.length];
+  const first = rows.length ? Math.max(0, rowAtOffset(offsets, scrollTop) - OVERSCAN_ROWS) : 0;
+  const last = rows.length
+    ? Math.min(rows.length, rowAtOffset(offsets, scrollTop + viewportHeight) + 1 + OVERSCAN_ROWS)
+    : 0;
+  const topPadding = offsets[first];
+  const bottomPadding = totalHeight - offsets[last];
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return undefined;
+    const measure = () => setViewportHeight(el.clientHeight);
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, []);
+
+  // Record the real height of every rendered row; re-lay out only when something changed
+  useLayoutEffect(() => {
+    if (!bodyRef.current) return;
+    const measured = new Map();
+    bodyRef.current.querySelectorAll("tr[data-result]").forEach((tr) => {
+      const index = Number(tr.dataset.result);
+      measured.set(index, (measured.get(index) || 0) + tr.getBoundingClientRect().height);
+    });
+    let changed = false;
+    measured.forEach((height, index) => {
+      if (Math.abs((rowHeights.current.get(index) ?? -1) - height) > 0.5) {
+        rowHeights.current.set(index, height);
+        changed = true;
+      }
+    });
+    if (changed) setMeasureVersion((v) => v + 1);
+  });
+
+  const spacerRow = (height, key) =>
+    height > 0 && (
+      <tr key={key} aria-hidden="true">
+        <td colSpan={visibleHeaders.length} style={{ height, padding: 0, border: "none" }} />
+      </tr>
+    );
+
+  // ---------- cells ----------
+  const renderCell = (r, header, isExpanded) => {
+    const cellMeta = r.fields[fieldKeyForHeader(header)];
+    const isMismatch = cellMeta?.match === false;
+    const tooltipParts = [];
+    if (cellMeta?.reason) tooltipParts.push(cellMeta.reason);
+    if (cellMeta?.expected) tooltipParts.push(`Expected: ${cellMeta.expected}`);
+    const title = tooltipParts.length > 0 ? tooltipParts.join(" • ") : undefined;
+    const isStatusColumn = isStatusHeader(header);
+    const pill = isStatusColumn ? getStatusPill(r.status) : null;
+    const cellValue = header === "Confidence" ? formatConfidence(r.confidence) : uploadValue(r, header);
+    return (
+      <td key={header} title={title} className={isStatusColumn ? "sticky-col" : undefined}>
+        {isStatusColumn ? (
+          <>
+            <span className={`status-pill ${pill.className}`}>
+              <span className="pill-icon" aria-hidden="true">
+                {pill.icon}
+              </span>
+              <span>{pill.label}</span>
+            </span>
+            {r.inputProblems?.length > 0 && (
+              <div className="cell-note cell-note-review" title={r.inputProblems.join("\n")}>
+                Malformed input row
+              </div>
+            )}
+            <button type="button" className="candidate-toggle" onClick={() => toggleDetails(r.index)}>
+              {isExpanded ? "▾" : "▸"} Details
+              {r.candidates?.length > 0 &&
+                ` · ${r.candidates.length} candidate${r.candidates.length === 1 ? "" : "s"}`}
+            </button>
+          </>
+        ) : (
+          <>
+            {String(cellValue ?? "")}
+            {isMismatch && (
+              <div className={cellMeta?.state === "review" ? "cell-note cell-note-review" : "cell-note"}>
+                {cellMeta?.reason || (cellMeta?.expected ? `Expected: ${cellMeta.expected}` : "Mismatch")}
+              </div>
+            )}
+            {!isMismatch && cellMeta?.reason && <div className="cell-hint">{cellMeta.reason}</div>}
+            {isMismatch && header === FIELD_LABELS.manufacturer && cellMeta?.actual && (
+              <a
+                className="cell-action"
+                href={`/aliases?${new URLSearchParams({
+                  alias: cellMeta.actual,
+                  canonical: cellMeta.expected || "",
+                })}`}
+                target="_blank"
+                rel="noreferrer"
+              >
+                + Add alias
+              </a>
+            )}
+          </>
+        )}
+      </td>
+    );
+  };
+
+  const renderDetails = (r) => (
+    <tr className="candidate-row" data-result={r.index}>
+      <td colSpan={visibleHeaders.length}>
+        {r.candidates?.length > 0 && (
+          <table className="candidate-table">
+            <thead>
+              <tr>
+                <th>Found by</th>
+                <th>Agreement</th>
+                {candidateKeys.map((key) => (
+                  <th key={key}>{FIELD_LABELS[key]}</th>
+                ))}
+                <th>{FIELD_LABELS.upc}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {r.candidates.map((candidate, rank) => (
+                <tr key={rank}>
+                  <td>{CANDIDATE_SOURCE_LABELS[candidate.source] || candidate.source}</td>
+                  <td>{formatConfidence(candidate.score)}</td>
+                  {candidateKeys.map((key) => (
+                    <td key={key} className={`candidate-${candidate.fields[key]?.state || "match"}`}>
+                      {candidate.fields[key]?.expected || "—"}
+                    </td>
+                  ))}
+                  <td>{candidate.record?.upc || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <details className="trace">
+          <summary>Match trace</summary>
+          <pre>{formatTrace(r)}</pre>
+          <button type="button" onClick={() => copyTrace(r)}>
+            Copy trace
+          </button>{" "}
+          <button type="button" onClick={() => downloadTrace(r)}>
+            Download trace
+          </button>
+        </details>
+      </td>
+    </tr>
+  );
+
+  // ---------- UI ----------
+  return (
+    <div className="result-card">
+      <div className="grid-toolbar">
+        <input
+          type="search"
+          placeholder="Search all columns"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="grid-search"
+        />
+        <span className="grid-count">
+          {rows.length === results.length ? `${rows.length} rows` : `${rows.length} of ${results.length} rows`}
+        </span>
+        <details className="columns-menu">
+          <summary>Columns</summary>
+          <div className="columns-list">
+            {headers
+              .filter((header) => !isStatusHeader(header))
+              .map((header) => (
+                <label key={header}>
+                  <input
+                    type="checkbox"
+                    checked={!hiddenColumns.includes(header)}
+                    onChange={() => toggleColumn(header)}
+                  />{" "}
+                  {header}
+                </label>
+              ))}
+          </div>
+        </details>
+      </div>
+
+      <div className="result-scroll" ref={scrollRef} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+        <table className="result-table" style={{ width: tableWidth }}>
+          <colgroup>
+            {visibleHeaders.map((header) => (
+              <col key={header} style={{ width: widthOf(header) }} />
+            ))}
+          </colgroup>
+          <thead>
+            <tr>
+              {visibleHeaders.map((header) => (
+                <th
+                  key={header}
+                  className={isStatusHeader(header) ? "sticky-col" : undefined}
+                  aria-sort={
+                    sort?.header === header ? (sort.direction === 1 ? "ascending" : "descending") : undefined
+                  }
+                >
+                  <button type="button" className="sort-button" onClick={() => toggleSort(header)}>
+                    {header}
+                    {sort?.header === header && (sort.direction === 1 ? " ▲" : " ▼")}
+                  </button>
+                  <span className="resize-handle" onMouseDown={(e) => startResize(e, header)} />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody ref={bodyRef}>
+            {spacerRow(topPadding, "spacer-top")}
+            {rows.slice(first, last).map((r) => {
+              const isExpanded = expandedRows.includes(r.index);
+              return (
+                <Fragment key={r.index}>
+                  <tr data-result={r.index}>
+                    {visibleHeaders.map((header) => renderCell(r, header, isExpanded))}
+                  </tr>
+                  {isExpanded && renderDetails(r)}
+                </Fragment>
+              );
+            })}
+            {spacerRow(bottomPadding, "spacer-bottom")}
+            {rows.length === 0 && (
+              <tr>
+                <td
+                  colSpan={visibleHeaders.length}
+                  style={{ padding: 12, textAlign: "center", fontStyle: "italic", color: "#666" }}
+                >
+                  {query.trim() ? "No rows match the search." : emptyMessage}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <style jsx>{`
+        .grid-toolbar {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+          padding: 10px 16px;
+          border-bottom: 1px solid #dfe4ec;
+          border-radius: 12px 12px 0 0;
+          background: #ffffff;
+        }
+
+        .grid-search {
+          padding: 6px 10px;
+          min-width: 240px;
+          border: 1px solid #d8e0eb;
+          border-radius: 6px;
+        }
+
+        .grid-count {
+          font-size: 13px;
+          color: #475467;
+        }
+
+        .columns-menu {
+          position: relative;
+          margin-left: auto;
+          font-size: 13px;
+        }
+
+        .columns-menu summary {
+          cursor: pointer;
+          color: #1976d2;
+        }
+
+        .columns-list {
+          position: absolute;
+          right: 0;
+          z-index: 4;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 180px;
+          max-height: 320px;
+          overflow: auto;
+          padding: 10px 12px;
+          background: #ffffff;
+          border: 1px solid #d8e0eb;
+          border-radius: 8px;
+          box-shadow: 0 12px 24px -12px rgba(15, 23, 42, 0.35);
+        }
+
+        .status-pill {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 12px;
+          border-radius: 999px;
+          font-weight: 600;
+          font-size: 13px;
+          letter-spacing: 0.01em;
+        }
+
+        .pill-icon {
+          font-size: 14px;
+        }
+
+        .pill-success {
+          background: #e6f7ed;
+          color: #166534;
+        }
+
+        .pill-warning {
+          background: #fff4e5;
+          color: #aa5b00;
+        }
+
+        .pill-error {
+          background: #ffe5e9;
+          color: #b42318;
+        }
+
+        .pill-unknown {
+          background: #edf1f5;
+          color: #475467;
+        }
+
+        .cell-note {
+          margin-top: 4px;
+          font-size: 12px;
+          color: #b42318;
+          font-weight: 500;
+        }
+
+        .cell-note-review {
+          color: #aa5b00;
+        }
+
+        .cell-action {
+          display: inline-block;
+          margin-top: 4px;
+          font-size: 12px;
+          color: #1976d2;
+        }
+
+        .cell-hint {
+          margin-top: 4px;
+          font-size: 12px;
+          color: #475467;
+        }
+
+        .candidate-toggle {
+          display: block;
+          margin-top: 6px;
+          padding: 0;
+          border: none;
+          background: none;
+          font-size: 12px;
+          color: #1976d2;
+          cursor: pointer;
+        }
+
+        .candidate-row td {
+          background: #f8fafc;
+        }
+
+        .candidate-table {
+          border-collapse: collapse;
+          font-size: 12px;
+        }
+
+        .candidate-table th,
+        .candidate-table td {
+          padding: 4px 10px;
+          text-align: left;
+          border-bottom: 1px solid #eef2f8;
+        }
+
+        .candidate-match {
+          color: #166534;
+        }
+
+        .candidate-fuzzy,
+        .candidate-review {
+          color: #aa5b00;
+        }
+
+        .candidate-mismatch {
+          color: #b42318;
+          font-weight: 600;
+        }
+
+        .trace {
+          margin-top: 8px;
+          font-size: 12px;
+        }
+
+        .trace summary {
+          cursor: pointer;
+          color: #1976d2;
+        }
+
+        .trace pre {
+          margin: 6px 0;
+          padding: 8px;
+          background: #ffffff;
+          border: 1px solid #eef2f8;
+          white-space: pre-wrap;
+        }
+
+        .result-card {
+          border: 1px solid #d8e0eb;
+          border-radius: 12px;
+          box-shadow: 0 18px 24px -18px rgba(15, 23, 42, 0.35);
+          background: #ffffff;
+        }
+
+        .result-scroll {
+          max-height: 70vh;
+          overflow: auto;
+          border-radius: 0 0 12px 12px;
+        }
+
+        .result-table {
+          table-layout: fixed;
+          border-collapse: separate;
+          border-spacing: 0;
+        }
+
+        .result-table thead th {
+          position: sticky;
+          top: 0;
+          background: #f7f9fc;
+          font-size: 12px;
+          text-transform: uppercase;
+          letter-spacing: 0.08em;
+          color: #1f2937;
+          padding: 0;
+          border-bottom: 1px solid #dfe4ec;
+          text-align: left;
+          z-index: 1;
+        }
+
+        .sort-button {
+          display: block;
+          width: 100%;
+          padding: 12px 16px;
+          border: none;
+          background: none;
+          font: inherit;
+          letter-spacing: inherit;
+          text-transform: inherit;
+          color: inherit;
+          text-align: left;
+          cursor: pointer;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .resize-handle {
+          position: absolute;
+          top: 0;
+          right: 0;
+          width: 6px;
+          height: 100%;
+          cursor: col-resize;
+        }
+
+        .resize-handle:hover {
+          background: #d8e0eb;
+        }
+
+        .result-table tbody td {
+          padding: 14px 16px;
+          font-size: 14px;
+          color: #1f2937;
+          border-bottom: 1px solid #eef2f8;
+          overflow-wrap: anywhere;
+          background: #ffffff;
+        }
+
+        .result-table .sticky-col {
+          position: sticky;
+          left: 0;
+          z-index: 2;
+          box-shadow: 1px 0 0 #dfe4ec;
+        }
+
+        .result-table thead th.sticky-col {
+          z-index: 3;
+        }
+
+        .result-table tbody tr:last-child td {
+          border-bottom: none;
+        }
+
+        .result-table tbody tr:hover td {
+          background: #f9fbff;
+        }
+
+        @media (max-width: 720px) {
+          .sort-button,
+          .result-table tbody td {
+            padding: 10px;
+          }
+
+          .status-pill {
+            padding: 4px 10px;
+            font-size: 12px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { sendSignInLink, signOut } from "../lib/auth";
+
+// The signed-in user with a sign-out button, or an email field that sends a sign-in link.
+// `reason` says what signing in unlocks on the page.
+export default function SignIn({ session, reason }) {
+  const [email, setEmail] = useState("");
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setNotice("");
+    try {
+      await sendSignInLink(email);
+      setNotice(`Sign-in link sent to ${email.trim()}.`);
+    } catch (err) {
+      setNotice(err.message || "Could not send the sign-in link.");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const leave = () => signOut().catch((err) => setNotice(err.message || "Could not sign out."));
+
+  return (
+    <div className="sign-in">
+      {session ? (
+        <>
+          Signed in as <strong>{session.user?.email}</strong>{" "}
+          <button type="button" onClick={leave}>
+            Sign out
+          </button>
+        </>
+      ) : (
+        <form onSubmit={submit}>
+          {reason && <span>{reason} </span>}
+          <input
+            type="email"
+            placeholder="you@example.com"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={sending}
+          />{" "}
+          <button type="submit" disabled={sending || !email.trim()}>
+            {sending ? "Sending..." : "Email me a sign-in link"}
+          </button>
+        </form>
+      )}
+      {notice && <span className="sign-in-notice">{notice}</span>}
+
+      <style jsx>{`
+        .sign-in {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          flex-wrap: wrap;
+          margin: 8px 0;
+          font-size: 13px;
+          color: #475467;
+        }
+
+        input {
+          padding: 4px 6px;
+          min-width: 220px;
+        }
+
+        button {
+          padding: 4px 10px;
+          cursor: pointer;
+        }
+
+        .sign-in-notice {
+          color: #344054;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { STATUS_GROUPS, summarizeBySource } from "../lib/verifyEngine";
+
+// Results of a multi-file run per source file: status counts, a show/hide filter per source and the
+// per-source summary download
+export default function SourceBreakdown({ results, hiddenSources, onToggle, onDownload }) {
+  const bySource = summarizeBySource(results);
+  if (bySource.length === 0) return null;
+
+  return (
+    <div className="source-breakdown">
+      <table>
+        <thead>
+          <tr>
+            <th>Show</th>
+            <th>Source file</th>
+            <th>Location</th>
+            <th>Rows</th>
+            {STATUS_GROUPS.map((group) => (
+              <th key={group}>{group}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {bySource.map((source) => (
+            <tr key={source.id}>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={!hiddenSources.includes(source.id)}
+                  onChange={() => onToggle(source.id)}
+                />
+              </td>
+              <td>{source.file}</td>
+              <td>{source.location || "—"}</td>
+              <td>{source.total}</td>
+              {STATUS_GROUPS.map((group) => (
+                <td key={group}>
+                  {source[group]} ({Math.round((source[group] / source.total) * 100)}%)
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={onDownload}>
+        ⬇️ Download summary by source CSV
+      </button>
+
+      <style jsx>{`
+        .source-breakdown {
+          margin: 8px 0 12px;
+          font-size: 13px;
+        }
+
+        table {
+          border-collapse: collapse;
+        }
+
+        th,
+        td {
+          padding: 4px 10px;
+          text-align: left;
+          border-bottom: 1px solid #e4e9f1;
+        }
+
+        button {
+          margin-top: 8px;
+          padding: 6px 12px;
+          cursor: pointer;
+        }
+      `}</style>
+    </div>
+  );
+}
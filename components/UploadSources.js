@@ -0,0 +1,127 @@
+// Files in the upload, one row each: an optional location name that tags its rows in the results,
+// the sheet of a workbook, whether it is streamed, and how far reading got. The mapping and import
+// settings below edit the active file.
+export default function UploadSources({
+  sources,
+  activeId,
+  onSelect,
+  onRemove,
+  onLocationChange,
+  onSheetChange,
+  onToggleStream,
+  disabled,
+}) {
+  if (sources.length === 0) return null;
+
+  const rowsNote = (source) => {
+    if (!source.mapping) return "Reading...";
+    if (source.streaming) return "Read while verifying";
+    if (!source.summary) return "Parsing...";
+    return `${source.rows.length} rows`;
+  };
+
+  return (
+    <section className="upload-sources">
+      <table>
+        <thead>
+          <tr>
+            <th>File</th>
+            <th>Location</th>
+            <th>Rows</th>
+            <th>Input problems</th>
+            <th title="Read the file in chunks and verify while it is being read">Stream</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {sources.map((source) => (
+            <tr key={source.id} className={source.id === activeId ? "source-active" : undefined}>
+              <td>
+                {source.name}
+                {source.workbook && (
+                  <>
+                    {" "}
+                    <select
+                      value={source.sheetName}
+                      onChange={(e) => onSheetChange(source.id, e.target.value)}
+                      disabled={disabled}
+                    >
+                      {source.workbook.sheets.map((sheet) => (
+                        <option key={sheet.name} value={sheet.name}>
+                          {sheet.name} ({sheet.rowCount} rows)
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </td>
+              <td>
+                <input
+                  value={source.location}
+                  onChange={(e) => onLocationChange(source.id, e.target.value)}
+                  placeholder="e.g. Main St store"
+                  disabled={disabled}
+                />
+              </td>
+              <td>{rowsNote(source)}</td>
+              <td>{source.summary ? source.summary.problemCount : "—"}</td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={source.streaming}
+                  onChange={() => onToggleStream(source.id)}
+                  disabled={disabled || !source.mapping}
+                />
+              </td>
+              <td>
+                {source.id === activeId ? (
+                  <span className="source-note">Editing below</span>
+                ) : (
+                  <button type="button" onClick={() => onSelect(source.id)} disabled={disabled}>
+                    Edit mapping
+                  </button>
+                )}{" "}
+                <button type="button" onClick={() => onRemove(source.id)} disabled={disabled}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <style jsx>{`
+        .upload-sources {
+          margin: 12px 0;
+          max-width: 960px;
+          font-size: 13px;
+        }
+
+        table {
+          border-collapse: collapse;
+          width: 100%;
+        }
+
+        th,
+        td {
+          padding: 4px 10px;
+          text-align: left;
+          border-bottom: 1px solid #e4e9f1;
+        }
+
+        .source-active {
+          background: #eef4ff;
+        }
+
+        .source-note {
+          color: #475467;
+        }
+
+        button {
+          padding: 2px 8px;
+          cursor: pointer;
+        }
+      `}</style>
+    </section>
+  );
+}
@@ -0,0 +1,30 @@
+// Supabase Auth in the browser. Shared settings (manufacturer aliases, import profiles) and the full
+// catalog download behind the local cache need a signed-in user; verifying an upload does not.
+import { useEffect, useState } from "react";
+import { supabase } from "./supabaseClient";
+
+// Current session (null when signed out), updated on sign-in, sign-out and token refresh
+export const useAuthSession = () => {
+  const [session, setSession] = useState(null);
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    const { data } = supabase.auth.onAuthStateChange((_event, next) => setSession(next));
+    return () => data.subscription.unsubscribe();
+  }, []);
+  return session;
+};
+
+// Email a one-time sign-in link back to the current page. Only existing users can sign in: accounts
+// are created in the Supabase dashboard, so "authenticated" means someone the shop added.
+export const sendSignInLink = async (email) => {
+  const { error } = await supabase.auth.signInWithOtp({
+    email: email.trim(),
+    options: { shouldCreateUser: false, emailRedirectTo: window.location.href },
+  });
+  if (error) throw error;
+};
+
+export const signOut = async () => {
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+};
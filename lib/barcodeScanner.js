@@ -0,0 +1,26 @@
+// USB keyboard-wedge barcode scanners "type" the code as a burst of keystrokes ending in Enter. Keys
+// typed outside text fields are collected and reported as a scan when they arrive that fast, so a
+// scan works wherever the page focus is (a clerk typing in a field keeps their keystrokes).
+const MAX_KEY_GAP_MS = 50;
+const MIN_SCAN_LENGTH = 8; // shortest GTIN (EAN-8)
+
+const isEditable = (target) =>
+  Boolean(target?.isContentEditable) || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+// keydown handler that calls onScan(code) for each scanner burst
+export const createScanListener = (onScan, { maxGap = MAX_KEY_GAP_MS, minLength = MIN_SCAN_LENGTH } = {}) => {
+  let buffer = "";
+  let lastKeyAt = 0;
+  return (event) => {
+    if (isEditable(event.target) || event.ctrlKey || event.altKey || event.metaKey) return;
+    if (event.timeStamp - lastKeyAt > maxGap) buffer = "";
+    lastKeyAt = event.timeStamp;
+    if (event.key === "Enter") {
+      if (buffer.length >= minLength) {
+        event.preventDefault();
+        onScan(buffer);
+      }
+      buffer = "";
+    } else if (event.key.length === 1) buffer += event.key;
+  };
+};
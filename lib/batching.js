@@ -0,0 +1,52 @@
+// Bounded batches, limited concurrency and retry with backoff for catalog requests.
+
+export const chunk = (values, size) => {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) out.push(values.slice(i, i + size));
+  return out;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Supabase `{ error, status }` -> thrown Error that keeps the HTTP status for retry decisions
+export const toRequestError = (error, status) =>
+  Object.assign(new Error(error?.message || "Request failed"), { status, code: error?.code });
+
+// Network failures, timeouts, rate limits and 5xx are worth retrying; bad requests are not
+export const isTransientError = (error) => {
+  const status = Number(error?.status) || 0;
+  if (status === 408 || status === 429 || status >= 500) return true;
+  if (status >= 400) return false;
+  return /fetch|network|timeout|timed out|ECONNRESET|socket/i.test(error?.message || "");
+};
+
+export const withRetry = async (task, { retries = 3, baseDelayMs = 400 } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (e) {
+      if (attempt >= retries || !isTransientError(e)) throw e;
+      await sleep(baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs);
+    }
+  }
+};
+
+// Run `task(batch)` over batches with at most `concurrency` in flight.
+// Never rejects: each entry is { batch, value } or { batch, error }.
+export const mapBatches = async (items, { size, concurrency }, task) => {
+  const batches = chunk(items, size);
+  const settled = new Array(batches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const i = next++;
+      try {
+        settled[i] = { batch: batches[i], value: await task(batches[i]) };
+      } catch (error) {
+        settled[i] = { batch: batches[i], error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+  return settled;
+};
@@ -0,0 +1,83 @@
+// Caliber equivalence registry: every spelling of a cartridge resolves to one canonical id.
+// Catalog entries may list several calibers (".223/5.56"); they match any of them.
+import { normCaliber } from "./normalize";
+
+export const CALIBERS = [
+  // Handgun
+  {
+    id: "9MM_LUGER",
+    label: "9mm Luger",
+    aliases: ["9mm", "9mm Parabellum", "9mm Para", "9x19", "9x19mm", "9 Luger", "9mm NATO"],
+  },
+  { id: "380_ACP", label: ".380 ACP", aliases: ["380", "380 Auto", "9mm Kurz", "9x17", "9mm Short", "9mm Browning"] },
+  { id: "40_SW", label: ".40 S&W", aliases: ["40", "40SW", "40 Smith & Wesson", "10x22"] },
+  { id: "45_ACP", label: ".45 ACP", aliases: ["45", "45 Auto", "45 Automatic", "11.43x23"] },
+  { id: "45_COLT", label: ".45 Colt", aliases: ["45 LC", "45 Long Colt"] },
+  { id: "10MM_AUTO", label: "10mm Auto", aliases: ["10mm", "10mm Automatic"] },
+  { id: "357_MAG", label: ".357 Magnum", aliases: ["357", "357 Mag", "357 Mag."] },
+  { id: "357_SIG", label: ".357 SIG", aliases: ["357 Sig Sauer"] },
+  { id: "38_SPL", label: ".38 Special", aliases: ["38", "38 Spl", "38 Spc", "38 S&W Special"] },
+  { id: "44_MAG", label: ".44 Magnum", aliases: ["44 Mag", "44 Rem Mag", "44 Remington Magnum"] },
+  { id: "32_ACP", label: ".32 ACP", aliases: ["32 Auto", "7.65 Browning", "7.65mm"] },
+  { id: "25_ACP", label: ".25 ACP", aliases: ["25 Auto", "6.35mm"] },
+  { id: "57X28", label: "5.7x28mm", aliases: ["5.7x28", "5.7"] },
+  // Rimfire
+  { id: "22_LR", label: ".22 LR", aliases: ["22", "22LR", "22 Long Rifle", "22 L.R."] },
+  { id: "22_WMR", label: ".22 WMR", aliases: ["22 Mag", "22 Magnum", "22 Win Mag"] },
+  { id: "17_HMR", label: ".17 HMR", aliases: ["17 Hornady Magnum Rimfire"] },
+  // Rifle
+  { id: "223_REM", label: ".223 Remington", aliases: ["223", "223 Rem"] },
+  { id: "556_NATO", label: "5.56x45mm NATO", aliases: ["5.56", "556", "5.56 NATO", "5.56x45", "5.56x45mm"] },
+  { id: "308_WIN", label: ".308 Winchester", aliases: ["308", "308 Win"] },
+  { id: "762_NATO", label: "7.62x51mm NATO", aliases: ["7.62 NATO", "7.62x51", "7.62x51mm"] },
+  { id: "762X39", label: "7.62x39mm", aliases: ["7.62x39"] },
+  { id: "300_BLK", label: ".300 AAC Blackout", aliases: ["300 BLK", "300 Blackout", "300 AAC", "7.62x35"] },
+  { id: "30_06", label: ".30-06 Springfield", aliases: ["30-06", "30-06 Sprg", "30-06 Spfld"] },
+  { id: "65_CM", label: "6.5 Creedmoor", aliases: ["6.5 CM", "6.5CM", "6.5 Creed"] },
+  { id: "243_WIN", label: ".243 Winchester", aliases: ["243", "243 Win"] },
+  { id: "270_WIN", label: ".270 Winchester", aliases: ["270", "270 Win"] },
+  { id: "45_70", label: ".45-70 Government", aliases: ["45-70", "45/70", "45-70 Govt"] },
+  // Shotgun
+  { id: "12_GA", label: "12 Gauge", aliases: ["12 ga", "12ga", "12 GA."] },
+  { id: "20_GA", label: "20 Gauge", aliases: ["20 ga", "20ga"] },
+  { id: "410_BORE", label: ".410 Bore", aliases: ["410", "410 ga", "410 Gauge"] },
+];
+
+const ALIAS_TO_ID = new Map();
+CALIBERS.forEach(({ id, label, aliases }) => {
+  [label, ...aliases].forEach((alias) => ALIAS_TO_ID.set(normCaliber(alias), id));
+});
+
+const LIST_SEPARATOR = /\s*(?:\/|,|;|\||\bor\b)\s*/i;
+const LOAD_SUFFIX = /\+P\+?/gi; // "+P" loads chamber in the same caliber
+
+// Canonical ids for a caliber cell; unknown calibers fall back to their normalized text
+export const caliberIds = (value) => {
+  const text = String(value ?? "").replace(LOAD_SUFFIX, "");
+  const whole = normCaliber(text);
+  if (!whole) return [];
+  if (ALIAS_TO_ID.has(whole)) return [ALIAS_TO_ID.get(whole)];
+  const parts = text.split(LIST_SEPARATOR).map(normCaliber).filter(Boolean);
+  if (parts.length < 2) return [whole];
+  return Array.from(new Set(parts.map((part) => ALIAS_TO_ID.get(part) ?? part)));
+};
+
+const KNOWN_IDS = new Set(CALIBERS.map((caliber) => caliber.id));
+
+export const isKnownCaliber = (id) => KNOWN_IDS.has(id);
+
+// Single key for indexing ("223_REM/556_NATO"); split on "/" to get the ids back
+export const canonicalCaliber = (value) => caliberIds(value).sort().join("/");
+
+// Calibers agree when they share a canonical id; unregistered spellings keep substring matching
+export const calibersMatch = (a, b) => {
+  const idsA = caliberIds(a);
+  const idsB = caliberIds(b);
+  if (idsA.length === 0 || idsB.length === 0) return idsA.length === idsB.length;
+  if (idsA.some((id) => idsB.includes(id))) return true;
+  const unknownA = idsA.filter((id) => !isKnownCaliber(id));
+  const unknownB = idsB.filter((id) => !isKnownCaliber(id));
+  return unknownA.some((na) =>
+    unknownB.some((nb) => na.length >= 3 && nb.length >= 3 && (na.includes(nb) || nb.includes(na)))
+  );
+};
@@ -0,0 +1,207 @@
+// IndexedDB copy of the catalog plus its prebuilt match indexes, kept current by incremental sync
+// through /api/catalog/changes. Works in the page and in the verification worker.
+import { authorizationHeaders } from "./catalogSource";
+import { PROGRESS_PHASE, createCatalogIndex, indexCatalogRows, indexUpcRows } from "./verifyEngine";
+
+const DB_NAME = "ffl-verifier";
+const DB_VERSION = 1;
+const ROWS_STORE = "catalogRows"; // String(id) -> catalog row
+const META_STORE = "catalogMeta"; // "sync" -> sync status, "index" -> prebuilt index maps
+
+// Bump when normalizers or index keys change so cached indexes are rebuilt
+const INDEX_FORMAT = 1;
+const INDEX_MAPS = ["upcMap", "atfCandidateMap", "atfManufacturerModelMap", "manufacturerMap"];
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(ROWS_STORE);
+      req.result.createObjectStore(META_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const requestResult = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const readMeta = async (db, key) => requestResult(db.transaction(META_STORE).objectStore(META_STORE).get(key));
+
+const writeMeta = async (db, key, value) => {
+  const tx = db.transaction(META_STORE, "readwrite");
+  tx.objectStore(META_STORE).put(value, key);
+  await transactionDone(tx);
+};
+
+export const isCatalogCacheSupported = () => typeof indexedDB !== "undefined";
+
+// localStorage key of the "use local catalog cache" choice, shared by the upload and scan pages
+export const CACHE_PREFERENCE_KEY = "ffl-verifier:use-catalog-cache";
+
+// { cursor, syncedAt, rowCount, version } of the last sync, or null when nothing is cached
+export const readCacheStatus = async () => {
+  if (!isCatalogCacheSupported()) return null;
+  const db = await openDb();
+  try {
+    return (await readMeta(db, "sync")) || null;
+  } finally {
+    db.close();
+  }
+};
+
+// Each sync re-reads this much history before its cursor: updated_at / deleted_at are stamped with the
+// writing transaction's start time, so a slow write can commit after a sync has read past its stamp
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+const fetchChanges = async (endpoint, accessToken, { since, afterId }) => {
+  const params = new URLSearchParams();
+  if (since) params.set("since", since);
+  if (afterId !== null) params.set("afterId", afterId);
+  const response = await fetch(`${endpoint}?${params}`, { headers: authorizationHeaders(accessToken) });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(payload.error || `Catalog sync failed (${response.status})`);
+  return payload;
+};
+
+// Pull rows changed since the last sync (everything when `force` or the cache is empty). The changes
+// route only answers signed-in users, so callers pass the session's access token.
+export const syncCatalogCache = async ({
+  force = false,
+  onProgress = () => {},
+  endpoint = "/api/catalog/changes",
+  accessToken = null,
+} = {}) => {
+  const db = await openDb();
+  try {
+    const previous = force ? null : await readMeta(db, "sync");
+    let cursor = previous?.cursor ?? null;
+    let changed = 0;
+    // Re-read changes from the overlap window count only when the cache does not have them yet
+    const overlapped = (stamp) => Boolean(previous?.cursor) && stamp <= previous.cursor;
+    let position = {
+      since: previous?.cursor ? new Date(Date.parse(previous.cursor) - SYNC_OVERLAP_MS).toISOString() : null,
+      afterId: null,
+    };
+    for (let first = true; ; first = false) {
+      const page = await fetchChanges(endpoint, accessToken, position);
+      // A full download replaces the cache only once its first page has arrived
+      const replacing = !previous && first;
+      const tx = db.transaction([ROWS_STORE, META_STORE], "readwrite");
+      const store = tx.objectStore(ROWS_STORE);
+      if (replacing) {
+        store.clear();
+        tx.objectStore(META_STORE).delete("sync");
+        tx.objectStore(META_STORE).delete("index");
+      }
+      (page.deleted || []).forEach(({ catalog_id: id, deleted_at: deletedAt }) => {
+        if (!cursor || deletedAt > cursor) cursor = deletedAt;
+        if (!overlapped(deletedAt)) {
+          store.delete(String(id));
+          changed++;
+          return;
+        }
+        const cached = store.count(String(id));
+        cached.onsuccess = () => {
+          if (cached.result === 0) return;
+          store.delete(String(id));
+          changed++;
+        };
+      });
+      (page.rows || []).forEach(({ updated_at: updatedAt, ...row }) => {
+        if (row.id === undefined || row.id === null) return;
+        if (!cursor || updatedAt > cursor) cursor = updatedAt;
+        if (!overlapped(updatedAt)) {
+          store.put(row, String(row.id));
+          changed++;
+          return;
+        }
+        const cached = store.get(String(row.id));
+        cached.onsuccess = () => {
+          if (JSON.stringify(cached.result) === JSON.stringify(row)) return;
+          store.put(row, String(row.id));
+          changed++;
+        };
+      });
+      await transactionDone(tx);
+      onProgress({ phase: PROGRESS_PHASE.SYNC, done: changed, total: null });
+      if (!page.hasMore) break;
+      const last = page.rows[page.rows.length - 1];
+      position = { since: last.updated_at, afterId: String(last.id) };
+    }
+
+    const rowCount = await requestResult(db.transaction(ROWS_STORE).objectStore(ROWS_STORE).count());
+    const status = {
+      cursor,
+      syncedAt: Date.now(),
+      rowCount,
+      // Bumped whenever rows change so the prebuilt index is rebuilt
+      version: !previous ? 1 : previous.version + (changed > 0 ? 1 : 0),
+    };
+    await writeMeta(db, "sync", status);
+    return status;
+  } finally {
+    db.close();
+  }
+};
+
+const aliasSignature = (aliases = []) =>
+  aliases
+    .map(({ alias, canonical }) => `${alias}=>${canonical}`)
+    .sort()
+    .join("|");
+
+// Catalog source backed by the cache. A failed sync falls back to the cached copy when there is one.
+export const createCachedCatalogSource = ({ forceRefresh = false, onSync = () => {}, endpoint, accessToken } = {}) => ({
+  loadCatalogIndex: async (matchers, { manufacturerAliases = [], onProgress = () => {} } = {}) => {
+    let status;
+    let syncError = null;
+    try {
+      status = await syncCatalogCache({ force: forceRefresh, onProgress, endpoint, accessToken });
+    } catch (e) {
+      status = await readCacheStatus();
+      if (!status) throw e;
+      syncError = e.message || "Catalog sync failed.";
+    }
+    onSync({ ...status, syncError });
+
+    const catalogIndex = createCatalogIndex(matchers);
+    const signature = `${INDEX_FORMAT}:${status.version}:${status.rowCount}:${aliasSignature(manufacturerAliases)}`;
+    const db = await openDb();
+    try {
+      const cached = await readMeta(db, "index");
+      if (cached?.signature === signature) {
+        INDEX_MAPS.forEach((name) => {
+          catalogIndex[name] = cached.maps[name];
+        });
+        return catalogIndex;
+      }
+
+      onProgress({ phase: PROGRESS_PHASE.INDEX, done: 0, total: status.rowCount });
+      const rows = await requestResult(db.transaction(ROWS_STORE).objectStore(ROWS_STORE).getAll());
+      indexUpcRows(catalogIndex, rows);
+      indexCatalogRows(catalogIndex, rows);
+      onProgress({ phase: PROGRESS_PHASE.INDEX, done: rows.length, total: status.rowCount });
+
+      // One record so the maps keep sharing row objects when read back
+      const maps = {};
+      INDEX_MAPS.forEach((name) => {
+        maps[name] = catalogIndex[name];
+      });
+      await writeMeta(db, "index", { signature, maps });
+      return catalogIndex;
+    } finally {
+      db.close();
+    }
+  },
+});
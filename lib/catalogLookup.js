@@ -0,0 +1,137 @@
+// Server-side candidate lookup: the upload's UPCs and manufacturer/model pairs -> only the catalog
+// rows the engine could match. Backed by the `upc_key` / `manufacturer_key` columns on `catalog`.
+import { chunk, toRequestError } from "./batching";
+import { CATALOG_COLUMNS, fetchUpcBatches, LOOKUP_LIMITS, selectAllPages, UPC_BATCH } from "./catalogSource";
+import { gtinKey } from "./gtin";
+import { createManufacturerNormalizer } from "./manufacturerAliases";
+import { normModel } from "./normalize";
+import { editSimilarity } from "./similarity";
+import { DEFAULT_THRESHOLDS } from "./verifyEngine";
+
+export const MANUFACTURER_KEYS_VIEW = "catalog_manufacturer_keys";
+export const DELETIONS_TABLE = "catalog_deletions";
+export const CHANGES_PAGE_SIZE = 1000;
+
+export const fetchManufacturerKeys = async (client) => {
+  const rows = await selectAllPages(() =>
+    client.from(MANUFACTURER_KEYS_VIEW).select("manufacturer_key").order("manufacturer_key")
+  );
+  return rows.map((row) => row.manufacturer_key).filter(Boolean);
+};
+
+// Validate a lookup request body -> { upcs: GTIN-14 keys, pairs: [{ manufacturer, model }], review }.
+// `review` widens the fuzzy manufacturer / model match, so it can only be raised above the default:
+// a lower one would let a caller pull most of the catalog.
+export const readLookupRequest = (body) => {
+  const upcs = Array.isArray(body?.upcs) ? body.upcs : [];
+  const pairs = Array.isArray(body?.pairs) ? body.pairs : [];
+  if (upcs.length > LOOKUP_LIMITS.upcs || pairs.length > LOOKUP_LIMITS.pairs) {
+    throw new Error(`Lookups are limited to ${LOOKUP_LIMITS.upcs} UPCs and ${LOOKUP_LIMITS.pairs} pairs per request`);
+  }
+  const review = Number(body?.review);
+  return {
+    upcs: Array.from(new Set(upcs.map((upc) => gtinKey(upc)).filter(Boolean))),
+    pairs: pairs.map((pair) => ({ manufacturer: String(pair?.manufacturer ?? ""), model: String(pair?.model ?? "") })),
+    review: review > DEFAULT_THRESHOLDS.review && review <= 1 ? review : DEFAULT_THRESHOLDS.review,
+  };
+};
+
+// Which stored manufacturer keys to fetch, and the model keys wanted under each.
+// Mirrors the engine's indexes: exact manufacturer + model, plus similar spellings of both for fuzzy matching.
+const planManufacturerLookups = (pairs, storedKeys, normalizeManufacturer, review) => {
+  const byCanonical = new Map();
+  storedKeys.forEach((stored) => {
+    const canonical = normalizeManufacturer(stored);
+    if (!byCanonical.has(canonical)) byCanonical.set(canonical, []);
+    byCanonical.get(canonical).push(stored);
+  });
+
+  const wanted = new Map(); // stored manufacturer key -> Set of upload model keys
+  pairs.forEach(({ manufacturer, model }) => {
+    const canonical = normalizeManufacturer(manufacturer);
+    const modelKey = normModel(model);
+    if (!canonical || !modelKey) return;
+    byCanonical.forEach((stored, candidate) => {
+      if (candidate !== canonical && editSimilarity(canonical, candidate) < review) return;
+      stored.forEach((key) => {
+        if (!wanted.has(key)) wanted.set(key, new Set());
+        wanted.get(key).add(modelKey);
+      });
+    });
+  });
+  return wanted;
+};
+
+const modelWanted = (modelKeys, model, review) => {
+  const key = normModel(model);
+  if (!key) return false;
+  for (const wantedKey of modelKeys) {
+    if (wantedKey === key || editSimilarity(wantedKey, key) >= review) return true;
+  }
+  return false;
+};
+
+// Thrown when a lookup matches more than LOOKUP_LIMITS.rows catalog rows (the route answers 413)
+const tooManyRows = (maxRows) =>
+  toRequestError({ message: `Lookup matched more than ${maxRows} catalog rows; send fewer rows per request` }, 413);
+
+export const findCatalogCandidates = async (
+  client,
+  { upcs, pairs, review },
+  { manufacturerAliases = [], manufacturerKeys, table = "catalog", maxRows = LOOKUP_LIMITS.rows } = {}
+) => {
+  const rows = new Map(); // id -> row, a record found by several lookups is returned once
+  const keep = (row) => {
+    rows.set(row.id ?? rows.size, row);
+    if (rows.size > maxRows) throw tooManyRows(maxRows);
+  };
+
+  const upcHits = await fetchUpcBatches(upcs, (batch) =>
+    selectAllPages(() => client.from(table).select(CATALOG_COLUMNS).in("upc_key", batch).order("id"))
+  );
+  upcHits.rows.forEach(keep);
+
+  const storedKeys = manufacturerKeys || (await fetchManufacturerKeys(client));
+  const normalizeManufacturer = createManufacturerNormalizer(manufacturerAliases);
+  const wanted = planManufacturerLookups(pairs, storedKeys, normalizeManufacturer, review);
+
+  for (const keyChunk of chunk(Array.from(wanted.keys()), UPC_BATCH.size)) {
+    const hits = await selectAllPages(() =>
+      client.from(table).select(`${CATALOG_COLUMNS}, manufacturer_key`).in("manufacturer_key", keyChunk).order("id")
+    );
+    hits.forEach(({ manufacturer_key: key, ...row }) => {
+      if (modelWanted(wanted.get(key) || [], row.model, review)) keep(row);
+    });
+  }
+
+  return { rows: Array.from(rows.values()), failedUpcs: upcHits.failedUpcs };
+};
+
+// One page of catalog rows changed after `since` (all rows when absent), ordered by (updated_at, id).
+// `afterId` continues a page sequence: rows at exactly `since` are kept when their id is past it, so
+// rows sharing a timestamp across a page boundary are neither skipped nor repeated. Deleted ids come
+// with the first page of a sync. Used by the browser cache's incremental sync.
+export const fetchCatalogChanges = async (client, { since, afterId = null }, { table = "catalog" } = {}) => {
+  let query = client.from(table).select(`${CATALOG_COLUMNS}, updated_at`);
+  if (since && afterId !== null) {
+    query = query.or(`updated_at.gt."${since}",and(updated_at.eq."${since}",id.gt."${afterId}")`);
+  } else if (since) {
+    query = query.gt("updated_at", since);
+  }
+  const { data, error } = await query.order("updated_at").order("id").limit(CHANGES_PAGE_SIZE);
+  if (error) throw error;
+  const rows = data || [];
+
+  let deleted = [];
+  if (since && afterId === null) {
+    deleted = await selectAllPages(() =>
+      client
+        .from(DELETIONS_TABLE)
+        .select("catalog_id, deleted_at")
+        .gt("deleted_at", since)
+        .order("deleted_at")
+        .order("catalog_id")
+    );
+  }
+  return { rows, deleted, hasMore: rows.length === CHANGES_PAGE_SIZE };
+};
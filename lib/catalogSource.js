@@ -0,0 +1,105 @@
+// Catalog data sources consumed by the verification engine.
+//
+// A source exposes one of
+//   loadCatalogIndex(matchers, options) -> Promise<prebuilt index for the whole catalog> (lib/catalogCache.js)
+//   fetchCandidates(request) -> Promise<{ rows, failedUpcs }>: catalog rows that may match the upload,
+//                               where request is { upcs: GTIN-14 keys, pairs: [{ manufacturer, model }], review }
+// `failedUpcs` lists UPCs whose lookup batch still failed after retries.
+import { mapBatches, toRequestError, withRetry } from "./batching";
+
+export const CATALOG_COLUMNS = "id, upc, manufacturer, model, type, caliber, importer, country";
+
+// Limits per /api/catalog/lookup request so one upload cannot turn the route into a catalog dump;
+// createApiCatalogSource splits larger chunks into several requests
+export const LOOKUP_LIMITS = { upcs: 20000, pairs: 20000, rows: 50000 };
+
+// UPCs per `.in()` filter (keeps request URLs short) and batches in flight at once
+export const UPC_BATCH = { size: 200, concurrency: 4 };
+
+// Page through one filtered query, retrying transient errors. The query must be ordered by a unique
+// key (or end with one): Postgres keeps no row order between separate range requests otherwise, so
+// pages could skip or repeat rows.
+export const selectAllPages = async (query, { pageSize = 1000 } = {}) => {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const data = await withRetry(async () => {
+      const { data: pageData, error, status } = await query().range(from, from + pageSize - 1);
+      if (error) throw toRequestError(error, status);
+      return pageData || [];
+    });
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+};
+
+// Batched UPC lookup: rows from the batches that succeeded, UPCs of the ones that did not
+export const fetchUpcBatches = async (upcs, selectBatch) => {
+  const settled = await mapBatches(upcs, UPC_BATCH, selectBatch);
+  return {
+    rows: settled.flatMap((entry) => entry.value || []),
+    failedUpcs: settled.flatMap((entry) => (entry.error ? entry.batch : [])),
+  };
+};
+
+// Headers that identify the signed-in user to the app's catalog routes ({} when signed out)
+export const authorizationHeaders = (accessToken) => (accessToken ? { Authorization: `Bearer ${accessToken}` } : {});
+
+// Server-side lookup (/api/catalog/lookup): the browser only receives candidate rows
+const postLookup = (endpoint, accessToken, request) =>
+  withRetry(async () => {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authorizationHeaders(accessToken) },
+      body: JSON.stringify(request),
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw toRequestError({ message: payload.error || `Catalog lookup failed (${response.status})` }, response.status);
+    }
+    return { rows: payload.rows || [], failedUpcs: payload.failedUpcs || [] };
+  });
+
+// Candidates of several requests, each catalog row once
+const mergeCandidates = (parts) => {
+  const rows = new Map();
+  parts.forEach((part) => part.rows.forEach((row) => rows.set(row.id ?? `#${rows.size}`, row)));
+  return { rows: Array.from(rows.values()), failedUpcs: parts.flatMap((part) => part.failedUpcs) };
+};
+
+const halves = (list) => [list.slice(0, Math.ceil(list.length / 2)), list.slice(Math.ceil(list.length / 2))];
+
+// A request that matches more catalog rows than the route returns (413) is retried in two halves
+const postLookupSplitting = async (endpoint, accessToken, request) => {
+  try {
+    return await postLookup(endpoint, accessToken, request);
+  } catch (e) {
+    if (e.status !== 413 || request.upcs.length + request.pairs.length <= 1) throw e;
+    const [upcsA, upcsB] = halves(request.upcs);
+    const [pairsA, pairsB] = halves(request.pairs);
+    const first = await postLookupSplitting(endpoint, accessToken, { ...request, upcs: upcsA, pairs: pairsA });
+    const second = await postLookupSplitting(endpoint, accessToken, { ...request, upcs: upcsB, pairs: pairsB });
+    return mergeCandidates([first, second]);
+  }
+};
+
+// A chunk's UPCs and pairs go out in requests of at most LOOKUP_LIMITS each, one at a time. The route
+// only answers signed-in users, so callers pass the session's access token.
+export const createApiCatalogSource = ({ endpoint = "/api/catalog/lookup", accessToken = null } = {}) => ({
+  fetchCandidates: async ({ upcs, pairs, review }) => {
+    const count = Math.max(
+      1,
+      Math.ceil(upcs.length / LOOKUP_LIMITS.upcs),
+      Math.ceil(pairs.length / LOOKUP_LIMITS.pairs)
+    );
+    const parts = [];
+    for (let i = 0; i < count; i++) {
+      const request = {
+        upcs: upcs.slice(i * LOOKUP_LIMITS.upcs, (i + 1) * LOOKUP_LIMITS.upcs),
+        pairs: pairs.slice(i * LOOKUP_LIMITS.pairs, (i + 1) * LOOKUP_LIMITS.pairs),
+        review,
+      };
+      parts.push(await postLookupSplitting(endpoint, accessToken, request));
+    }
+    return mergeCandidates(parts);
+  },
+});
@@ -0,0 +1,139 @@
+// Column mapping for uploads: which file column feeds each canonical field. Suggestions come from
+// the header aliases (exact) and keyword / spelling hints (scored); the user can override any of them.
+import { ALIAS, FIELD_LABELS, INGEST_KEY } from "./fields";
+import { editSimilarity } from "./similarity";
+
+export const MAPPABLE_FIELDS = ["manufacturer", "model", "type", "caliber", "upc", "importer", "country", "serial"];
+
+// Suggestions below this confidence are not applied automatically
+export const MIN_SUGGESTION_CONFIDENCE = 0.6;
+
+// Words that point at a field in POS / distributor exports ("Mfg Name", "Model #", "Gauge/Caliber")
+const FIELD_HINTS = {
+  manufacturer: ["manufacturer", "mfr", "mfg", "brand", "maker", "make", "vendor"],
+  model: ["model", "modelno", "modelnumber"],
+  type: ["type", "category", "guntype", "firearmtype", "action"],
+  caliber: ["caliber", "calibre", "cal", "gauge", "ga", "chambering", "cartridge"],
+  upc: ["upc", "ean", "gtin", "barcode"],
+  importer: ["importer", "import"],
+  country: ["country", "origin", "coo", "madein"],
+  serial: ["serial", "sn", "serialno", "serialnumber"],
+};
+
+const compact = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const words = (s) =>
+  String(s ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// How strongly a header suggests a field, in [0, 1]
+const headerScore = (field, header) => {
+  const key = compact(header);
+  if (!key) return 0;
+  if (ALIAS[field].some((alias) => compact(alias) === key)) return 1;
+  const hints = FIELD_HINTS[field];
+  if (hints.includes(key)) return 0.95;
+  // A hint as one word of the header ("Item UPC", "Mfg Name"), or the header starting with one ("Model#")
+  if (words(header).some((word) => hints.includes(word))) return 0.85;
+  if (hints.some((hint) => hint.length >= 4 && key.startsWith(hint))) return 0.8;
+  const closest = Math.max(...hints.map((hint) => editSimilarity(hint, key)));
+  return closest >= 0.75 ? closest * 0.8 : 0;
+};
+
+// headers -> { [field]: { header, confidence } | null }, each header used for at most one field
+export const suggestColumnMapping = (headers) => {
+  const scored = [];
+  MAPPABLE_FIELDS.forEach((field) => {
+    headers.forEach((header) => {
+      const confidence = headerScore(field, header);
+      if (confidence >= MIN_SUGGESTION_CONFIDENCE) scored.push({ field, header, confidence });
+    });
+  });
+  scored.sort((a, b) => b.confidence - a.confidence);
+
+  const suggestions = Object.fromEntries(MAPPABLE_FIELDS.map((field) => [field, null]));
+  const usedHeaders = new Set();
+  scored.forEach(({ field, header, confidence }) => {
+    if (suggestions[field] || usedHeaders.has(header)) return;
+    suggestions[field] = { header, confidence };
+    usedHeaders.add(header);
+  });
+  return suggestions;
+};
+
+// Suggestions -> mapping { [field]: header | null }
+export const mappingFromSuggestions = (suggestions) =>
+  Object.fromEntries(MAPPABLE_FIELDS.map((field) => [field, suggestions[field]?.header ?? null]));
+
+const aliasNames = new Set(Object.values(ALIAS).flatMap((names) => names.map((name) => name.toLowerCase())));
+
+const sourceColumnsCache = new WeakMap();
+
+// { [field label]: header in the file } of a mapping, one object shared by every row it maps
+const sourceColumnsFor = (mapping) => {
+  if (!sourceColumnsCache.has(mapping)) {
+    const columns = {};
+    MAPPABLE_FIELDS.forEach((field) => {
+      if (mapping[field]) columns[FIELD_LABELS[field]] = mapping[field];
+    });
+    sourceColumnsCache.set(mapping, columns);
+  }
+  return sourceColumnsCache.get(mapping);
+};
+
+// Rename mapped columns to the canonical field labels. Unmapped columns keep their name unless it is
+// a header alias, which would let the engine read them after all; those get an "(unmapped)" suffix.
+// The file's own header names go along as the row's ingest `columns`, so the match trace names them.
+export const applyColumnMapping = (row, mapping) => {
+  const mapped = {};
+  const sources = new Set();
+  MAPPABLE_FIELDS.forEach((field) => {
+    const header = mapping[field];
+    if (!header) return;
+    mapped[FIELD_LABELS[field]] = row[header] ?? "";
+    sources.add(header);
+  });
+  Object.entries(row).forEach(([key, value]) => {
+    if (sources.has(key)) return;
+    if (key !== INGEST_KEY && aliasNames.has(key.toLowerCase())) mapped[`${key} (unmapped)`] = value;
+    else mapped[key] = value;
+  });
+  mapped[INGEST_KEY] = { ...(row[INGEST_KEY] || {}), columns: sourceColumnsFor(mapping) };
+  return mapped;
+};
+
+// Per-field clean-ups an import profile applies after mapping ("Remove prefix" for a POS code in front
+// of model numbers). A transform is { field, op, arg, to }; `to` is only used by "replace".
+export const VALUE_TRANSFORMS = {
+  trim: { label: "Trim spaces", apply: (value) => value.trim() },
+  upper: { label: "Uppercase", apply: (value) => value.toUpperCase() },
+  digits: { label: "Digits only", apply: (value) => value.replace(/\D/g, "") },
+  stripPrefix: {
+    label: "Remove prefix",
+    takesArg: true,
+    apply: (value, arg) => (arg && value.startsWith(arg) ? value.slice(arg.length) : value),
+  },
+  stripSuffix: {
+    label: "Remove suffix",
+    takesArg: true,
+    apply: (value, arg) => (arg && value.endsWith(arg) ? value.slice(0, -arg.length) : value),
+  },
+  replace: {
+    label: "Replace text",
+    takesArg: true,
+    apply: (value, arg, to = "") => (arg ? value.split(arg).join(to) : value),
+  },
+};
+
+export const applyValueTransforms = (row, transforms = []) => {
+  if (transforms.length === 0) return row;
+  const out = { ...row };
+  transforms.forEach(({ field, op, arg = "", to = "" }) => {
+    const label = FIELD_LABELS[field];
+    const transform = VALUE_TRANSFORMS[op];
+    if (!label || !transform || out[label] === undefined || out[label] === null) return;
+    out[label] = transform.apply(String(out[label]), arg, to);
+  });
+  return out;
+};
@@ -0,0 +1,74 @@
+// Country of manufacture -> ISO 3166-1 alpha-2 code.
+// Covers the countries that show up on imported-firearm markings, including historic names.
+import { norm } from "./normalize";
+
+export const DOMESTIC_COUNTRY = "US";
+
+const COUNTRY_NAMES = {
+  US: ["United States", "United States of America", "USA", "U.S.A.", "U.S.", "America"],
+  DE: ["Germany", "W. Germany", "West Germany", "Deutschland", "FRG", "DEU", "GER"],
+  AT: ["Austria", "Oesterreich", "AUT"],
+  IT: ["Italy", "Italia", "ITA"],
+  BE: ["Belgium", "Belgique", "BEL"],
+  CZ: ["Czech Republic", "Czechia", "Czechoslovakia", "CZE", "CSSR"],
+  SK: ["Slovakia", "Slovak Republic", "SVK"],
+  BR: ["Brazil", "Brasil", "BRA"],
+  TR: ["Turkey", "Turkiye", "Türkiye", "TUR"],
+  HR: ["Croatia", "Hrvatska", "HRV"],
+  PH: ["Philippines", "PHL"],
+  IL: ["Israel", "ISR"],
+  CH: ["Switzerland", "Swiss", "CHE"],
+  JP: ["Japan", "JPN"],
+  ES: ["Spain", "Espana", "España", "ESP"],
+  FR: ["France", "FRA"],
+  GB: ["United Kingdom", "UK", "U.K.", "Great Britain", "England", "GBR"],
+  RU: ["Russia", "Russian Federation", "USSR", "Soviet Union", "RUS"],
+  CN: ["China", "PRC", "CHN"],
+  PL: ["Poland", "POL"],
+  RS: ["Serbia", "Yugoslavia", "SRB"],
+  BG: ["Bulgaria", "BGR"],
+  RO: ["Romania", "ROU"],
+  HU: ["Hungary", "HUN"],
+  AR: ["Argentina", "ARG"],
+  CA: ["Canada", "CAN"],
+  FI: ["Finland", "FIN"],
+  SE: ["Sweden", "SWE"],
+  NO: ["Norway", "NOR"],
+  KR: ["South Korea", "Korea", "Republic of Korea", "KOR"],
+  ZA: ["South Africa", "ZAF"],
+  PT: ["Portugal", "PRT"],
+};
+
+const NAME_TO_CODE = new Map();
+Object.entries(COUNTRY_NAMES).forEach(([code, names]) => {
+  names.forEach((name) => NAME_TO_CODE.set(norm(name), code));
+});
+
+// Placeholder answers that read like ISO codes ("No" -> Norway, "N/A" -> Namibia); never a country.
+const NOT_A_COUNTRY = new Set(["NO", "NA"]);
+
+// "Germany" / "DE" / "W. Germany" -> "DE"; null when the country is not recognised.
+// A bare ISO code only counts when written as one ("DE", not "de" or "De").
+export const countryCode = (value) => {
+  const key = norm(value);
+  if (!key || NOT_A_COUNTRY.has(key)) return null;
+  if (NAME_TO_CODE.has(key)) return NAME_TO_CODE.get(key);
+  const raw = (value ?? "").toString().trim();
+  return /^[A-Z]{2}$/.test(raw) && COUNTRY_NAMES[raw] ? raw : null;
+};
+
+// Same ISO code, or the same normalized text when either side is not recognised
+export const countriesMatch = (a, b) => {
+  const codeA = countryCode(a);
+  const codeB = countryCode(b);
+  if (codeA && codeB) return codeA === codeB;
+  return norm(a) === norm(b);
+};
+
+const describeCountry = (value) => {
+  const code = countryCode(value);
+  return code ? `"${value}" (${code})` : `"${value}"`;
+};
+
+export const describeCountryMismatch = (actual, expected) =>
+  `Country ${describeCountry(actual)} differs from catalog ${describeCountry(expected)}`;
@@ -0,0 +1,12 @@
+// CSV downloads of export rows (see toExportRow). Rows can have different columns (a multi-file run,
+// a scan session), so the header is every row's keys in first-seen order.
+export const saveCSV = (exportRows, fileName) => {
+  const headers = [...new Set(exportRows.flatMap((r) => Object.keys(r)))];
+  const rowsCsv = exportRows.map((r) => headers.map((h) => JSON.stringify(r[h] ?? "")).join(","));
+  const csvContent = [headers.join(","), ...rowsCsv].join("\n");
+  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+};
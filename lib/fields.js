@@ -0,0 +1,60 @@
+// Canonical upload fields and the header aliases that resolve to them.
+
+// Accepted header aliases (canonical names listed first)
+export const ALIAS = {
+  upc: ["UPC", "upc", "Upc", "EAN", "ean", "Barcode", "barcode"],
+
+  // ATF core fields
+  manufacturer: ["Manufacturer", "manufacturer", "MFR", "mfr", "Brand", "brand", "Maker", "maker"],
+  model: ["Model", "model"],
+  type: ["Type", "type", "Category", "category"],
+  caliber: ["Caliber", "caliber", "Cal", "cal"],
+
+  // ATF optional fields
+  importer: ["Importer", "importer"],
+  country: ["Country of Manufacture", "Country", "country", "CountryOfManufacture"],
+
+  // Carried through to the results, not verified
+  serial: ["Serial", "serial", "Serial Number", "SerialNumber", "Serial #", "SN", "sn"],
+};
+
+// Column label used in the results table / exports for each canonical field
+export const FIELD_LABELS = {
+  upc: "UPC",
+  manufacturer: "Manufacturer",
+  model: "Model",
+  type: "Type",
+  caliber: "Caliber",
+  importer: "Importer",
+  country: "Country",
+  serial: "Serial",
+};
+
+// Results / export column -> canonical field key (for mismatch notes)
+export const fieldKeyForHeader = (header) =>
+  Object.keys(FIELD_LABELS).find((key) => FIELD_LABELS[key].toLowerCase() === header.toLowerCase());
+
+export const CORE_FIELDS = ["manufacturer", "model", "type", "caliber"];
+
+// Imported-firearm marking fields, verified only when enabled for a run
+export const OPTIONAL_FIELDS = ["importer", "country"];
+
+// Per-row ingest notes attached by the upload parser (never shown as a column)
+export const INGEST_KEY = "__ingest";
+
+// Pull the first non-empty value from possible header aliases
+export const pickField = (row, names) => {
+  for (const n of names) {
+    const key = n;
+    const candidates = [key, key?.toLowerCase?.(), key?.toUpperCase?.()].filter(Boolean);
+    for (const candidate of candidates) {
+      const value = row[candidate];
+      if (value !== undefined && value !== null && String(value).trim() !== "") {
+        return { value, key: candidate };
+      }
+    }
+  }
+  return { value: "", key: null };
+};
+
+export const firstVal = (row, names) => pickField(row, names).value;
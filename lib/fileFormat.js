@@ -0,0 +1,174 @@
+// Text format of an upload: character encoding and column delimiter, sniffed from the start of the
+// file so Windows POS exports (Windows-1252, semicolons, tabs, fixed-width columns) read correctly.
+// Import settings of "" use the detected value; anything else overrides it.
+import Papa from "papaparse";
+
+export const FIXED_WIDTH = "fixed";
+
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 50;
+// Fixed-width files: lines below the header offset that column positions are taken from, and bytes
+// converted to CSV at a time
+const COLUMN_SAMPLE_LINES = 1000;
+const CONVERT_CHUNK_BYTES = 4 * 1024 * 1024;
+const DELIMITERS = [",", ";", "\t", "|"];
+
+// Excel sheets are written out as UTF-8 CSV (see workbookParse)
+export const SHEET_FORMAT = { encoding: "utf-8", bom: false, delimiter: "," };
+
+// BOM first, then UTF-16 by its zero bytes, then whether the bytes are valid UTF-8
+const sniffEncoding = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: "utf-8", bom: true };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: "utf-16le", bom: true };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: "utf-16be", bom: true };
+
+  const sample = bytes.subarray(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, i) => {
+    if (byte !== 0) return;
+    if (i % 2 === 0) evenZeros++;
+    else oddZeros++;
+  });
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.3 && evenZeros < half * 0.05) return { encoding: "utf-16le", bom: false };
+  if (evenZeros > half * 0.3 && oddZeros < half * 0.05) return { encoding: "utf-16be", bom: false };
+
+  try {
+    // stream: a character cut off at the end of the sample is not an error
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true });
+    return { encoding: "utf-8", bom: false };
+  } catch {
+    return { encoding: "windows-1252", bom: false };
+  }
+};
+
+// Occurrences of a delimiter outside double quotes
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) count++;
+  }
+  return count;
+};
+
+// The delimiter found the same number of times on most lines (title lines above the header differ)
+const sniffDelimiter = (lines) => {
+  let best = null;
+  DELIMITERS.forEach((delimiter) => {
+    const tally = new Map();
+    lines.forEach((line) => {
+      const count = countOutsideQuotes(line, delimiter);
+      if (count > 0) tally.set(count, (tally.get(count) || 0) + 1);
+    });
+    tally.forEach((lineCount, count) => {
+      const share = lineCount / lines.length;
+      if (share < 0.5) return;
+      if (!best || share > best.share || (share === best.share && count > best.count)) {
+        best = { delimiter, share, count };
+      }
+    });
+  });
+  return best?.delimiter ?? null;
+};
+
+// Start of each column in fixed-width lines: positions after a run of spaces that every line shares.
+// Callers pass a bounded sample of lines.
+export const fixedWidthColumns = (lines) => {
+  const used = []; // true where some line has a character other than a space
+  for (const line of lines) {
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] !== " ") used[i] = true;
+    }
+  }
+  const starts = [];
+  for (let i = 0; i < used.length; i++) {
+    if (used[i] && (i === 0 || !used[i - 1])) starts.push(i);
+  }
+  return starts;
+};
+
+const splitLines = (text) => text.split(/\r\n|\n|\r/);
+
+// File -> { encoding, bom, delimiter }; delimiter is FIXED_WIDTH for space-aligned columns and ","
+// when nothing fits (a one-column file)
+export const sniffFileFormat = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  const { encoding, bom } = sniffEncoding(bytes);
+  const lines = splitLines(new TextDecoder(encoding).decode(bytes));
+  if (file.size > SNIFF_BYTES) lines.pop(); // cut off by the sample
+  const sample = lines.filter((line) => line.trim() !== "").slice(0, SNIFF_LINES);
+
+  let delimiter = sniffDelimiter(sample);
+  if (!delimiter) {
+    const fixed = sample.length > 1 && !sample.some((line) => line.includes("\t"));
+    delimiter = fixed && fixedWidthColumns(sample).length > 1 ? FIXED_WIDTH : ",";
+  }
+  return { encoding, bom, delimiter };
+};
+
+// Import settings with "" filled in from the sniffed format
+export const resolveFormat = (settings, format) => ({
+  encoding: settings.encoding || format?.encoding || "",
+  delimiter: settings.delimiter || format?.delimiter || "",
+});
+
+// Fixed-width file -> CSV file, converted a slice at a time so a large export is never held as one
+// string. Column positions come from the first COLUMN_SAMPLE_LINES lines below the header offset (a
+// later line that runs into a gap is cut at those positions); the lines above it (report titles) stay
+// single cells so the header offset still applies.
+const fixedWidthToCsv = async (file, encoding, headerRow) => {
+  const decoder = new TextDecoder(encoding || "utf-8");
+  const parts = [];
+  let starts = null;
+  let pending = []; // lines read before the column positions are known
+  let converted = 0;
+  let carry = ""; // unfinished last line of the previous slice
+
+  const flush = (lines) => {
+    if (lines.length === 0) return;
+    const rows = lines.map((line, k) => {
+      if (converted + k < headerRow) return [line.trim()];
+      return starts.map((start, c) => line.slice(start, starts[c + 1]).trim());
+    });
+    if (parts.length > 0) parts.push("\r\n");
+    parts.push(Papa.unparse(rows));
+    converted += lines.length;
+  };
+
+  const take = (lines, last) => {
+    if (starts) return flush(lines);
+    for (const line of lines) pending.push(line);
+    if (!last && pending.length < headerRow + COLUMN_SAMPLE_LINES) return;
+    starts = fixedWidthColumns(pending.slice(headerRow, headerRow + COLUMN_SAMPLE_LINES));
+    flush(pending);
+    pending = [];
+  };
+
+  for (let offset = 0; offset < file.size; offset += CONVERT_CHUNK_BYTES) {
+    const bytes = new Uint8Array(await file.slice(offset, offset + CONVERT_CHUNK_BYTES).arrayBuffer());
+    let text = carry + decoder.decode(bytes, { stream: true });
+    // A "\r" at the end may be the first half of "\r\n"
+    const endsWithCr = text.endsWith("\r");
+    if (endsWithCr) text = text.slice(0, -1);
+    const lines = splitLines(text);
+    carry = lines.pop() + (endsWithCr ? "\r" : "");
+    take(lines, false);
+  }
+  const lines = splitLines(carry + decoder.decode());
+  if (lines[lines.length - 1] === "") lines.pop();
+  take(lines, true);
+  return new File(parts, file.name, { type: "text/csv" });
+};
+
+// The file and parse settings Papa should read for these import settings -> { file, settings }.
+// Fixed-width files are converted to CSV first; everything else is read as is with the resolved
+// encoding and delimiter.
+export const readableUpload = async (file, settings, format) => {
+  const { encoding, delimiter } = resolveFormat(settings, format);
+  if (delimiter !== FIXED_WIDTH) return { file, settings: { ...settings, encoding, delimiter } };
+  const csv = await fixedWidthToCsv(file, encoding, settings.headerRow || 0);
+  return { file: csv, settings: { ...settings, encoding: "", delimiter: "," } };
+};
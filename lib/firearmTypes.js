@@ -0,0 +1,65 @@
+// Firearm type taxonomy: free-text POS categories -> ATF type terms.
+// A broad category maps to every ATF type it covers ("Handgun" -> Pistol or Revolver).
+import { normType } from "./normalize";
+
+export const ATF_TYPES = ["Pistol", "Revolver", "Rifle", "Shotgun", "Receiver", "Frame", "Other"];
+
+// First matching rule wins, so specific phrases come before the words they contain
+const TYPE_RULES = [
+  { pattern: /\b(AOW|ANY OTHER WEAPON|PISTOL GRIP FIREARM|NON NFA FIREARM|OTHER)\b/, types: ["Other"] },
+  { pattern: /\bFRAME (OR |AND )?RECEIVER\b/, types: ["Frame", "Receiver"] },
+  { pattern: /\bFRAMES?\b/, types: ["Frame"] },
+  { pattern: /\b(LOWERS?|RECEIVERS?|STRIPPED LOWER)\b/, types: ["Receiver"] },
+  { pattern: /\b(COMBINATION GUN|COMBO GUN|RIFLE SHOTGUN)\b/, types: ["Rifle", "Shotgun"] },
+  { pattern: /\bREVOLVERS?\b/, types: ["Revolver"] },
+  { pattern: /\b(CARBINES?|RIFLES?)\b/, types: ["Rifle"] },
+  { pattern: /\b(PISTOLS?|DERRINGERS?)\b/, types: ["Pistol"] },
+  // Platform names, not ATF types: "AR-15 Pistol" is a Pistol above, a bare "AR15" a Rifle
+  { pattern: /\b(MSR|AR ?15)\b/, types: ["Rifle"] },
+  { pattern: /\b(HANDGUNS?|HAND GUNS?)\b/, types: ["Pistol", "Revolver"] },
+  { pattern: /\b(SHOTGUNS?|SHOT GUNS?)\b/, types: ["Shotgun"] },
+  { pattern: /\b(LONG ?GUNS?)\b/, types: ["Rifle", "Shotgun"] },
+  { pattern: /\b(FIREARMS?|GUNS?|WEAPONS?)\b/, types: ATF_TYPES },
+];
+
+const words = (value) =>
+  String(value ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim();
+
+// ATF types a category is compatible with, or null when the text is not recognised
+export const atfTypesFor = (value) => {
+  const text = words(value);
+  if (!text) return null;
+  const rule = TYPE_RULES.find(({ pattern }) => pattern.test(text));
+  return rule ? rule.types : null;
+};
+
+// Index key: ATF types joined with "/" ("PISTOL/REVOLVER"), or the normalized text when unmapped
+export const canonicalType = (value) => {
+  const types = atfTypesFor(value);
+  if (!types) return normType(value);
+  return types.map((type) => type.toUpperCase()).join("/");
+};
+
+export const typesCompatible = (a, b) => {
+  const typesA = atfTypesFor(a);
+  const typesB = atfTypesFor(b);
+  if (typesA && typesB) return typesA.some((type) => typesB.includes(type));
+  const na = normType(a);
+  const nb = normType(b);
+  if (!na || !nb) return na === nb;
+  if (na === nb) return true;
+  if (na.length < 3 || nb.length < 3) return false;
+  return na.includes(nb) || nb.includes(na);
+};
+
+const describeTypes = (value) => {
+  const types = atfTypesFor(value);
+  return types ? types.join(" or ") : "an unrecognised type";
+};
+
+// Mismatch reason naming the ATF types on both sides
+export const describeTypeMismatch = (actual, expected) =>
+  `"${actual}" maps to ${describeTypes(actual)}; catalog type "${expected}" is ${describeTypes(expected)}`;
@@ -0,0 +1,102 @@
+// GTIN / UPC handling: mod-10 check digits and canonical GTIN-14 keys.
+//
+// UPC-A (12), EAN-13 (13), GTIN-14 (14) and EAN-8 (8) all share the same
+// check-digit scheme, weighted from the right, so left-padding with zeros
+// never changes validity. Every barcode is keyed by its zero-padded 14-digit
+// form so "012345678905", "0012345678905" and "12345678905" line up.
+import { normDigits } from "./normalize";
+
+export const GTIN_LENGTH = 14;
+export const MIN_GTIN_LENGTH = 8;
+
+export const GTIN_PROBLEM = {
+  TOO_SHORT: "too_short",
+  TOO_LONG: "too_long",
+  CHECK_DIGIT: "check_digit",
+  SPREADSHEET_TRUNCATED: "spreadsheet_truncated", // digits lost to scientific notation
+};
+
+// Check digit for a GTIN body (all digits except the last)
+export const gtinCheckDigit = (body) => {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = body.charCodeAt(body.length - 1 - i) - 48;
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+export const isValidGtin = (digits) => {
+  if (!/^\d+$/.test(digits || "")) return false;
+  if (digits.length < MIN_GTIN_LENGTH || digits.length > GTIN_LENGTH) return false;
+  return gtinCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+};
+
+// Zero-padded GTIN-14 lookup key ("" when there are no digits or too many, so over-long values never
+// become keys; the catalog's generated upc_key column is null for the same values)
+export const gtinKey = (raw) => {
+  const significant = normDigits(raw).replace(/^0+/, "");
+  if (!significant || significant.length > GTIN_LENGTH) return "";
+  return significant.padStart(GTIN_LENGTH, "0");
+};
+
+// Parse an upload barcode cell -> { digits, gtin14, valid, problem }
+export const parseGtin = (raw) => {
+  const digits = normDigits(raw);
+  if (!digits) return { digits, gtin14: "", valid: false, problem: null };
+  const significant = digits.replace(/^0+/, "");
+  if (significant.length > GTIN_LENGTH) {
+    return { digits, gtin14: "", valid: false, problem: GTIN_PROBLEM.TOO_LONG };
+  }
+  const gtin14 = significant.padStart(GTIN_LENGTH, "0");
+  // Fewer than 8 digits cannot be any GTIN (a UPC-A missing its leading zero still has 11)
+  if (digits.length < MIN_GTIN_LENGTH) {
+    return { digits, gtin14, valid: false, problem: GTIN_PROBLEM.TOO_SHORT };
+  }
+  if (!isValidGtin(gtin14)) {
+    return { digits, gtin14, valid: false, problem: GTIN_PROBLEM.CHECK_DIGIT };
+  }
+  return { digits, gtin14, valid: true, problem: null };
+};
+
+export const describeGtinProblem = (parsed) => {
+  switch (parsed?.problem) {
+    case GTIN_PROBLEM.TOO_SHORT:
+      return `Barcode too short (${parsed.digits.length} digits); likely truncated`;
+    case GTIN_PROBLEM.TOO_LONG:
+      return `Barcode too long (${parsed.digits.length} digits)`;
+    case GTIN_PROBLEM.CHECK_DIGIT:
+      return `Invalid check digit (expected ${gtinCheckDigit(parsed.gtin14.slice(0, -1))})`;
+    case GTIN_PROBLEM.SPREADSHEET_TRUNCATED:
+      return `Barcode truncated by spreadsheet formatting (${parsed.original}); re-export the UPC column as text`;
+    default:
+      return "";
+  }
+};
+
+// ---------- spreadsheet-mangled cells ----------
+const SCIENTIFIC_RE = /^(\d+)(?:[.,](\d*))?E\+?(\d+)$/i;
+const FLOAT_RE = /^(\d+)[.,]0+$/;
+
+// Undo Excel's number formatting on a barcode cell.
+// Returns null for ordinary cells, otherwise { original, value, recovered, truncated }.
+// Scientific notation is only recovered when the mantissa still carries every digit
+// ("8.14226012345E+11"); "8.14226E+11" has lost digits and is reported as truncated.
+export const recoverBarcode = (raw) => {
+  const original = String(raw ?? "").trim();
+
+  const float = original.match(FLOAT_RE);
+  if (float) return { original, value: float[1], recovered: true, truncated: false };
+
+  const scientific = original.match(SCIENTIFIC_RE);
+  if (!scientific) return null;
+  const [, intPart, fracPart = "", exponent] = scientific;
+  const integerLength = intPart.length + Number(exponent);
+  const mantissa = intPart + fracPart;
+  // Fewer digits than the value's length means Excel rounded them away (or they were
+  // trailing zeros, which we cannot tell apart); extra non-zero digits mean a fraction
+  if (mantissa.length < integerLength || /[1-9]/.test(mantissa.slice(integerLength))) {
+    return { original, value: original, recovered: false, truncated: true };
+  }
+  return { original, value: mantissa.slice(0, integerLength).replace(/^0+/, ""), recovered: true, truncated: false };
+};
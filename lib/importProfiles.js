@@ -0,0 +1,140 @@
+// Import profiles: how to read the files of one POS or bound-book system (column mapping, delimiter,
+// encoding, lines before the header, value transforms). Stored in the Supabase `import_profiles`
+// table and recognised from a file's header signature.
+import { MAPPABLE_FIELDS } from "./columnMapping";
+import { FIXED_WIDTH, readableUpload, resolveFormat } from "./fileFormat";
+import { previewUpload } from "./uploadParse";
+
+export const PROFILE_TABLE = "import_profiles";
+
+// Share of header names a file must have in common with a profile to be auto-detected
+export const PROFILE_MATCH_THRESHOLD = 0.8;
+
+export const DEFAULT_IMPORT_SETTINGS = { delimiter: "", encoding: "", headerRow: 0, transforms: [] };
+
+export const DELIMITER_OPTIONS = [
+  { value: "", label: "Detect" },
+  { value: ",", label: "Comma" },
+  { value: ";", label: "Semicolon" },
+  { value: "\t", label: "Tab" },
+  { value: "|", label: "Pipe" },
+  { value: FIXED_WIDTH, label: "Fixed width" },
+];
+
+export const ENCODING_OPTIONS = [
+  { value: "", label: "Detect" },
+  { value: "utf-8", label: "UTF-8" },
+  { value: "windows-1252", label: "Windows-1252" },
+  { value: "iso-8859-1", label: "ISO-8859-1" },
+  { value: "utf-16le", label: "UTF-16 LE" },
+  { value: "utf-16be", label: "UTF-16 BE" },
+];
+
+const headerKey = (header) => String(header ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Order- and spelling-insensitive fingerprint of a header row
+export const headerSignature = (headers) =>
+  Array.from(new Set(headers.map(headerKey).filter(Boolean)))
+    .sort()
+    .join("|");
+
+const signatureMatch = (a, b) => {
+  const left = new Set(a ? a.split("|") : []);
+  const right = new Set(b ? b.split("|") : []);
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  left.forEach((key) => {
+    if (right.has(key)) shared++;
+  });
+  return shared / (left.size + right.size - shared);
+};
+
+// Settings part of a profile, as the upload parser takes them
+export const profileSettings = (profile) => ({
+  delimiter: profile.delimiter || "",
+  encoding: profile.encoding || "",
+  headerRow: profile.headerRow || 0,
+  transforms: profile.transforms || [],
+});
+
+// A profile's (or the current) mapping applied to a file's headers: columns the file lacks fall back
+// to the suggestion for that field, unless another field already takes that column
+export const mappingForHeaders = (mapping, headers, suggestions) => {
+  const next = Object.fromEntries(
+    MAPPABLE_FIELDS.map((field) => [field, headers.includes(mapping?.[field]) ? mapping[field] : null])
+  );
+  const used = new Set(Object.values(next).filter(Boolean));
+  MAPPABLE_FIELDS.forEach((field) => {
+    const header = suggestions[field]?.header;
+    if (next[field] || mapping?.[field] === null || !header || used.has(header)) return;
+    next[field] = header;
+    used.add(header);
+  });
+  return next;
+};
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  mapping: row.mapping || {},
+  delimiter: row.delimiter || "",
+  encoding: row.encoding || "",
+  headerRow: row.header_row || 0,
+  transforms: row.transforms || [],
+  headerSignature: row.header_signature || "",
+});
+
+export const fetchImportProfiles = async (client) => {
+  const { data, error } = await client
+    .from(PROFILE_TABLE)
+    .select("id, name, mapping, delimiter, encoding, header_row, transforms, header_signature")
+    .order("name");
+  if (error) throw error;
+  return (data || []).map(fromRow);
+};
+
+// Create or replace the profile with this name
+export const saveImportProfile = async (client, { name, mapping, headers, ...settings }) => {
+  const profileName = String(name || "").trim();
+  if (!profileName) throw new Error("Profile name is required");
+  const { delimiter, encoding, headerRow, transforms } = profileSettings(settings);
+  const row = {
+    name: profileName,
+    mapping: Object.fromEntries(MAPPABLE_FIELDS.map((field) => [field, mapping?.[field] || null])),
+    delimiter,
+    encoding,
+    header_row: headerRow,
+    transforms,
+    header_signature: headerSignature(headers || []),
+  };
+  const { data, error } = await client.from(PROFILE_TABLE).upsert(row, { onConflict: "name" }).select().single();
+  if (error) throw error;
+  return fromRow(data);
+};
+
+export const deleteImportProfile = async (client, id) => {
+  const { error } = await client.from(PROFILE_TABLE).delete().eq("id", id);
+  if (error) throw error;
+};
+
+// Best profile for a file -> { profile, score, preview } or null. Each profile's header row is read
+// with its own settings (blanks filled from the sniffed `format`, see fileFormat), so profiles with
+// title lines or another delimiter are recognised too.
+export const detectImportProfile = async (file, profiles, format) => {
+  const previews = new Map();
+  let best = null;
+  for (const profile of profiles) {
+    const settings = profileSettings(profile);
+    const { encoding, delimiter } = resolveFormat(settings, format);
+    const key = JSON.stringify([delimiter, encoding, settings.headerRow]);
+    if (!previews.has(key)) {
+      const read = await readableUpload(file, settings, format).catch(() => null);
+      previews.set(key, read && (await previewUpload(read.file, read.settings).catch(() => null)));
+    }
+    const preview = previews.get(key);
+    if (!preview) continue;
+    const score = signatureMatch(profile.headerSignature, headerSignature(preview.headers));
+    if (score >= PROFILE_MATCH_THRESHOLD && (!best || score > best.score)) best = { profile, score, preview };
+  }
+  return best;
+};
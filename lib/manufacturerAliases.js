@@ -0,0 +1,60 @@
+// Manufacturer alias dictionary: maps maker variants ("S&W", "SIG") to a canonical maker.
+// Aliases live in the Supabase `manufacturer_aliases` table; lib/data/manufacturerAliases.json
+// is the seed and the fallback when the table is unreachable.
+import seed from "./data/manufacturerAliases.json";
+import { normManufacturer } from "./normalize";
+
+export const ALIAS_TABLE = "manufacturer_aliases";
+
+// Seed file -> [{ alias, canonical }]
+export const SEED_ALIASES = Object.entries(seed).flatMap(([canonical, aliases]) =>
+  aliases.map((alias) => ({ alias, canonical }))
+);
+
+// Normalizer that resolves aliases before comparing ("S&W" and "Smith & Wesson" -> SMITHWESSON)
+export const createManufacturerNormalizer = (entries = []) => {
+  const aliasMap = new Map();
+  entries.forEach(({ alias, canonical }) => {
+    const from = normManufacturer(alias);
+    const to = normManufacturer(canonical);
+    if (from && to && from !== to) aliasMap.set(from, to);
+  });
+  return (s) => {
+    const base = normManufacturer(s);
+    return aliasMap.get(base) ?? base;
+  };
+};
+
+export const fetchStoredAliases = async (client) => {
+  const { data, error } = await client.from(ALIAS_TABLE).select("id, alias, canonical").order("canonical");
+  if (error) throw error;
+  return data || [];
+};
+
+// Seed + stored aliases; stored rows win when both define the same alias
+export const loadManufacturerAliases = async (client) => {
+  let stored;
+  try {
+    stored = await fetchStoredAliases(client);
+  } catch (err) {
+    console.warn("⚠️ Could not load manufacturer aliases; using the local seed only.", err.message);
+    return SEED_ALIASES;
+  }
+  const storedKeys = new Set(stored.map((row) => normManufacturer(row.alias)));
+  return [...SEED_ALIASES.filter((row) => !storedKeys.has(normManufacturer(row.alias))), ...stored];
+};
+
+export const saveManufacturerAliases = async (client, entries) => {
+  const rows = entries
+    .map(({ alias, canonical }) => ({ alias: String(alias || "").trim(), canonical: String(canonical || "").trim() }))
+    .filter((row) => row.alias && row.canonical);
+  if (rows.length === 0) return [];
+  const { data, error } = await client.from(ALIAS_TABLE).upsert(rows, { onConflict: "alias" }).select();
+  if (error) throw error;
+  return data || [];
+};
+
+export const deleteManufacturerAlias = async (client, id) => {
+  const { error } = await client.from(ALIAS_TABLE).delete().eq("id", id);
+  if (error) throw error;
+};
@@ -0,0 +1,50 @@
+// Value normalizers shared by the verification engine and the UI.
+
+export const norm = (s) => (s || "").toString().toUpperCase().replace(/[^A-Z0-9]/g, "");
+export const normDigits = (s) => (s || "").toString().replace(/\D/g, ""); // digits only
+export const strip0 = (s) => (s || "").replace(/^0+/, "");
+
+export const normModel = (s) => {
+  const base = norm(s);
+  if (!base) return "";
+  return base.replace(/^(MODEL|MOD|MDL)/, "");
+};
+
+export const normManufacturer = (s) => {
+  let base = norm(s);
+  if (!base) return "";
+  let trimmed = base;
+  const suffixes = ["LLC", "INC", "LTD", "CORP", "CORPORATION", "LLP", "PLC", "LP"];
+  let updated = true;
+  while (updated) {
+    updated = false;
+    for (const suffix of suffixes) {
+      if (trimmed.endsWith(suffix) && trimmed.length > suffix.length + 2) {
+        trimmed = trimmed.slice(0, -suffix.length);
+        updated = true;
+        break;
+      }
+    }
+  }
+  return trimmed;
+};
+
+export const normType = (s) => {
+  const base = norm(s);
+  if (!base) return "";
+  return base.replace(/(FIREARM|FIREARMS|WEAPON|WEAPONS)/g, "");
+};
+
+export const normCaliber = (s) => {
+  const base = norm(s);
+  if (!base) return "";
+  const trimmedLeadingZero = base.replace(/^0+([0-9])/, "$1");
+  const withoutCalTokens = trimmedLeadingZero
+    .replace(/^(CALIBER|CAL)/, "")
+    .replace(/(CALIBER|CAL)$/, "");
+  return withoutCalTokens;
+};
+
+export const hasValue = (v) => String(v ?? "").trim() !== "";
+
+export const normalizeCell = (val) => (val === undefined || val === null ? "" : String(val).trim());
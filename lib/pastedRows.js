@@ -0,0 +1,58 @@
+// Rows pasted from a spreadsheet or an email. The text is written out as CSV, like a workbook sheet
+// (see workbookParse), so pasted rows go through the same column mapping and import profiles as files.
+import Papa from "papaparse";
+import { suggestColumnMapping } from "./columnMapping";
+import { ALIAS } from "./fields";
+import { parseGtin } from "./gtin";
+
+// Share of a headerless column's cells that must be valid barcodes for it to be read as the UPC
+const UPC_COLUMN_SHARE = 0.8;
+
+// Cells copied from a spreadsheet are tab-separated; anything else is left to Papa's delimiter guess
+const pasteDelimiter = (text) => (text.includes("\t") ? "\t" : "");
+
+// Header names exactly as the mapping knows them (any case)
+const HEADER_NAMES = new Set(Object.values(ALIAS).flatMap((names) => names.map((name) => name.toLowerCase())));
+
+const looksLikeNumber = (cell) => /\d/.test(cell) && /^[\d\s.,+-]+$/.test(cell);
+
+// Rows below the first that are checked for barcodes and numbers
+const HEADER_CHECK_ROWS = 50;
+
+// The first row is a header when it holds no barcodes or numbers and either names two columns exactly,
+// or has digit-free names the upload page's mapping suggestions recognise ("Mfg Name", "Item UPC")
+// while the rows below hold barcodes or numbers
+const hasHeaderRow = (rows) => {
+  const [first, ...below] = rows;
+  if (first.some(looksLikeNumber)) return false;
+  if (first.filter((cell) => HEADER_NAMES.has(cell.toLowerCase())).length >= 2) return true;
+  if (first.some((cell) => /\d/.test(cell))) return false;
+  const suggested = Object.values(suggestColumnMapping(first)).some(Boolean);
+  return suggested && below.slice(0, HEADER_CHECK_ROWS).some((row) => row.some(looksLikeNumber));
+};
+
+// Headers for rows pasted without one: the first column of barcodes is "UPC" (so it maps on its own),
+// the rest "Column 1", "Column 2", ... for the mapping step
+const headersFor = (rows) => {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const isUpcColumn = (i) => {
+    const cells = rows.map((row) => String(row[i] ?? "").trim()).filter(Boolean);
+    return cells.length > 0 && cells.filter((cell) => parseGtin(cell).valid).length / cells.length >= UPC_COLUMN_SHARE;
+  };
+  const upcColumn = Array.from({ length: width }, (_, i) => i).find(isUpcColumn);
+  return Array.from({ length: width }, (_, i) => (i === upcColumn ? "UPC" : `Column ${i + 1}`));
+};
+
+// Clipboard text -> { file, hasHeaders, rowCount } (a CSV File named `name`), or null when no rows
+export const pastedUpload = (text, name) => {
+  const { data } = Papa.parse(text, { delimiter: pasteDelimiter(text), skipEmptyLines: "greedy" });
+  const rows = data.map((row) => row.map((cell) => cell.trim()));
+  if (rows.length === 0) return null;
+  const hasHeaders = hasHeaderRow(rows);
+  const table = hasHeaders ? rows : [headersFor(rows), ...rows];
+  return {
+    file: new File([Papa.unparse(table)], name, { type: "text/csv" }),
+    hasHeaders,
+    rowCount: table.length - 1,
+  };
+};
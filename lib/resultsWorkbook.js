@@ -0,0 +1,108 @@
+// Formatted Excel export of verification results: the export rows of the CSV (see toExportRow) with
+// each status color-coded, mismatched cells highlighted and the catalog's expected value as a cell
+// comment, a filter on the header row, and a summary sheet of the status counts.
+import { fieldKeyForHeader } from "./fields";
+import { STATUS_GROUPS, statusGroup, summarizeBySource, toExportRow } from "./verifyEngine";
+import { loadXlsx } from "./workbookParse";
+
+// Same colors as the results legend and the grid's mismatch notes
+const STATUS_FILLS = { VERIFIED: "E8F5E9", "NOT VERIFIED": "FFEBEE", UNKNOWN: "EEEEEE" };
+const MISMATCH_FILL = "FFE5E9";
+const REVIEW_FILL = "FFF4E5";
+const HEADER_FILL = "EDF1F5";
+
+const COMMENT_AUTHOR = "FFL Verifier";
+const MAX_COLUMN_WIDTH = 40;
+const WIDTH_SAMPLE_ROWS = 1000;
+
+const fill = (rgb) => ({ fill: { patternType: "solid", fgColor: { rgb } } });
+const HEADER_STYLE = { ...fill(HEADER_FILL), font: { bold: true } };
+
+// Column widths from the longest text in each column of the first WIDTH_SAMPLE_ROWS rows
+const columnWidths = (rows) => {
+  const longest = [];
+  rows.slice(0, WIDTH_SAMPLE_ROWS).forEach((row) =>
+    row.forEach((value, c) => {
+      longest[c] = Math.max(longest[c] || 0, String(value ?? "").length);
+    })
+  );
+  return Array.from(longest, (length) => ({ wch: Math.min(MAX_COLUMN_WIDTH, (length || 0) + 2) }));
+};
+
+const styleHeader = (XLSX, sheet, width) => {
+  for (let c = 0; c < width; c++) sheet[XLSX.utils.encode_cell({ r: 0, c })].s = HEADER_STYLE;
+};
+
+const resultsSheet = (XLSX, results) => {
+  const exportRows = results.map(toExportRow);
+  const headers = [...new Set(exportRows.flatMap((row) => Object.keys(row)))];
+  const rows = [headers, ...exportRows.map((row) => headers.map((header) => row[header] ?? ""))];
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+
+  styleHeader(XLSX, sheet, headers.length);
+  results.forEach((result, i) => {
+    headers.forEach((header, c) => {
+      const cell = sheet[XLSX.utils.encode_cell({ r: i + 1, c })];
+      if (header === "Status") {
+        cell.s = fill(STATUS_FILLS[statusGroup(result.status)]);
+        return;
+      }
+      const key = fieldKeyForHeader(header);
+      if (!result.mismatches.includes(key)) return;
+      const meta = result.fields[key];
+      cell.s = { ...fill(meta.state === "review" ? REVIEW_FILL : MISMATCH_FILL), font: { bold: true } };
+      const note = [meta.reason, meta.expected && `Expected: ${meta.expected}`].filter(Boolean).join("\n");
+      cell.c = [{ a: COMMENT_AUTHOR, t: note || "Mismatch" }];
+      cell.c.hidden = true;
+    });
+  });
+
+  const lastCell = { r: rows.length - 1, c: headers.length - 1 };
+  sheet["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: lastCell }) };
+  sheet["!cols"] = columnWidths(rows);
+  return sheet;
+};
+
+// Status counts, then the counts per upload file for multi-file runs
+const summarySheet = (XLSX, results) => {
+  const total = results.length;
+  const share = (count) => (total ? `${Math.round((count / total) * 100)}%` : "");
+  const counts = STATUS_GROUPS.map((group) => [
+    group,
+    results.filter((result) => statusGroup(result.status) === group).length,
+  ]);
+  const rows = [["Status", "Rows", "Share"], ...counts.map(([group, count]) => [group, count, share(count)])];
+  rows.push(["Total", total, ""]);
+
+  const bySource = summarizeBySource(results);
+  const sourceStart = rows.length + 1;
+  if (bySource.length > 0) {
+    rows.push([], ["Source File", "Source Location", "Rows", ...STATUS_GROUPS]);
+    bySource.forEach((source) =>
+      rows.push([source.file, source.location, source.total, ...STATUS_GROUPS.map((group) => source[group])])
+    );
+  }
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  styleHeader(XLSX, sheet, 3);
+  STATUS_GROUPS.forEach((group, i) => {
+    sheet[XLSX.utils.encode_cell({ r: i + 1, c: 0 })].s = fill(STATUS_FILLS[group]);
+  });
+  sheet[XLSX.utils.encode_cell({ r: counts.length + 1, c: 0 })].s = { font: { bold: true } };
+  if (bySource.length > 0) {
+    for (let c = 0; c < 3 + STATUS_GROUPS.length; c++) {
+      sheet[XLSX.utils.encode_cell({ r: sourceStart, c })].s = HEADER_STYLE;
+    }
+  }
+  sheet["!cols"] = columnWidths(rows);
+  return sheet;
+};
+
+// Results -> an .xlsx download with a "Results" and a "Summary" sheet
+export const saveResultsWorkbook = async (results, fileName) => {
+  const XLSX = await loadXlsx();
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, resultsSheet(XLSX, results), "Results");
+  XLSX.utils.book_append_sheet(book, summarySheet(XLSX, results), "Summary");
+  XLSX.writeFile(book, fileName, { compression: true });
+};
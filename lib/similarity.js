@@ -0,0 +1,50 @@
+// String similarity used for fuzzy model / manufacturer matching.
+// All scores are in [0, 1]; 1 means identical.
+
+export const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// Edit-distance ratio on already-normalized strings ("MP9M20" vs "MP920")
+export const editSimilarity = (a, b) => {
+  if (!a || !b) return a === b ? 1 : 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+const tokens = (s) =>
+  (s || "")
+    .toString()
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean);
+
+// Token-set overlap on raw strings, so word order and spacing don't matter ("Sauer Sig" vs "SIG SAUER")
+export const tokenSimilarity = (a, b) => {
+  const ta = new Set(tokens(a));
+  const tb = new Set(tokens(b));
+  if (ta.size === 0 || tb.size === 0) return ta.size === tb.size ? 1 : 0;
+  let shared = 0;
+  ta.forEach((t) => {
+    if (tb.has(t)) shared++;
+  });
+  return (2 * shared) / (ta.size + tb.size);
+};
+
+// Best of edit-distance (on normalized values) and token overlap (on raw values)
+export const similarity = (a, b, normalizer) => {
+  const na = normalizer ? normalizer(a) : a;
+  const nb = normalizer ? normalizer(b) : b;
+  return Math.max(editSimilarity(na, nb), tokenSimilarity(a, b));
+};
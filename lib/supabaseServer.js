@@ -0,0 +1,25 @@
+import { createClient } from "@supabase/supabase-js";
+
+// Server-only client for API routes. Never import this from a page: the service role key bypasses RLS.
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+let client = null;
+
+// Created on first use so a deployment without the key answers each request with a clear 500 instead of
+// failing when the route module loads
+export const getSupabaseServer = () => {
+  if (!supabaseUrl || !serviceRoleKey) {
+    throw new Error("The server is missing NEXT_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY.");
+  }
+  if (!client) client = createClient(supabaseUrl, serviceRoleKey, { auth: { persistSession: false } });
+  return client;
+};
+
+// Supabase Auth user of the request's `Authorization: Bearer <access token>`, or null
+export const requestUser = async (req) => {
+  const token = (req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) return null;
+  const { data, error } = await getSupabaseServer().auth.getUser(token);
+  return error ? null : data.user;
+};
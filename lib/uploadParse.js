@@ -0,0 +1,215 @@
+// Parsing and post-processing of upload rows before they reach the verification engine.
+import Papa from "papaparse";
+import { applyColumnMapping, applyValueTransforms } from "./columnMapping";
+import { ALIAS, INGEST_KEY, pickField } from "./fields";
+import { recoverBarcode } from "./gtin";
+
+// Blank lines are kept so Papa's error row numbers line up with the data; createUploadReader skips them
+export const PARSE_CONFIG = {
+  header: true,
+  skipEmptyLines: false,
+  transformHeader: (h) => h.trim(), // avoid "UPC " vs "UPC"
+};
+
+// Papa config for an upload's import settings (see importProfiles): a fixed delimiter and encoding
+// ("" = detect / UTF-8) and the number of lines before the header row (report titles in A&D exports)
+export const parseConfigFor = ({ delimiter = "", encoding = "", headerRow = 0 } = {}) => ({
+  ...PARSE_CONFIG,
+  ...(delimiter && { delimiter }),
+  ...(encoding && { encoding }),
+  ...(headerRow > 0 && {
+    // Drop whole lines, keeping the file's own line breaks for Papa's newline detection
+    beforeFirstChunk: (chunk) => chunk.replace(new RegExp(`^(?:[^\\r\\n]*(?:\\r\\n|\\n|\\r)){0,${headerRow}}`), ""),
+  }),
+});
+
+// Files at least this large are streamed into verification by default instead of parsed up front
+export const STREAM_FILE_BYTES = 20 * 1024 * 1024;
+const STREAM_CHUNK_BYTES = 1024 * 1024;
+
+// Rows read for the column-mapping preview, from at most this much of the file
+export const MAPPING_PREVIEW_ROWS = 5;
+const PREVIEW_CHUNK_BYTES = 64 * 1024;
+
+// Repair spreadsheet-mangled barcode cells; returns { rows, summary }
+export const prepareUploadRows = (parsedRows) => {
+  const summary = { recoveredBarcodes: 0, truncatedBarcodes: 0 };
+
+  const rows = parsedRows.map((row) => {
+    const { value, key } = pickField(row, ALIAS.upc);
+    const barcode = key ? recoverBarcode(value) : null;
+    if (!barcode) return row;
+
+    if (barcode.recovered) summary.recoveredBarcodes++;
+    if (barcode.truncated) summary.truncatedBarcodes++;
+    return {
+      ...row,
+      [key]: barcode.value,
+      [INGEST_KEY]: { ...(row[INGEST_KEY] || {}), barcode },
+    };
+  });
+
+  return { rows, summary };
+};
+
+// Input problems listed in the report; the rest are only counted
+export const MAX_LISTED_PROBLEMS = 500;
+
+const EXTRA_FIELDS_KEY = "__parsed_extra"; // Papa puts cells beyond the header here
+
+export const isMalformedRow = (row) => Boolean(row?.[INGEST_KEY]?.problems);
+
+// Tag rows with the upload they came from ({ id, file, location }), carried into results as `origin`
+export const tagRowSource = (rows, source) =>
+  rows.map((row) => ({ ...row, [INGEST_KEY]: { ...(row[INGEST_KEY] || {}), source } }));
+
+// Header problems: blank names and duplicates (which Papa renames "Model_1", blank ones "_1")
+const headerProblems = (fields, delimiter) => {
+  const problems = [];
+  fields.forEach((field, i) => {
+    const renamed = field.match(/^(.*)_(\d+)$/);
+    const original = renamed && fields.slice(0, i).includes(renamed[1]) ? renamed[1] : field;
+    if (original === "") {
+      problems.push({ code: "BlankHeader", message: `Column ${i + 1} has no header name` });
+    } else if (original !== field) {
+      problems.push({ code: "DuplicateHeader", message: `Column ${i + 1} repeats "${original}"; read as "${field}"` });
+    }
+  });
+  const text = Papa.unparse([fields.map((f) => f.replace(/^_\d+$/, ""))], { delimiter });
+  return problems.map((problem) => ({ ...problem, text }));
+};
+
+// Turns Papa results (the whole file, or one chunk after another) into upload rows plus a report of
+// input problems. Blank rows are skipped; rows Papa could not split cleanly are kept and marked
+// with their problems (isMalformedRow) so the caller can include or exclude them. With a `mapping`
+// (see columnMapping) mapped columns are renamed to the canonical fields, and `transforms` applied,
+// before barcode repair. `headerRow` is the number of lines skipped before the header.
+// summary() -> { recoveredBarcodes, truncatedBarcodes, blankRows, malformedRows, problemCount, problems }
+// where problems are { line, code, message, text } with 1-based file lines (null for file-wide ones).
+export const createUploadReader = ({ mapping = null, transforms = [], headerRow = 0 } = {}) => {
+  const report = { recoveredBarcodes: 0, truncatedBarcodes: 0, blankRows: 0, malformedRows: 0, problemCount: 0 };
+  const problems = [];
+  let dataRowsSeen = 0; // Papa data rows so far, blank ones included
+  let nextLine = headerRow + 2; // file line of the next data row (header is the line before the first)
+  let fields = null;
+
+  const addProblem = (problem) => {
+    report.problemCount++;
+    if (problems.length < MAX_LISTED_PROBLEMS) problems.push(problem);
+  };
+
+  const read = (res) => {
+    const data = res.data || [];
+    const delimiter = res.meta?.delimiter || ",";
+    const firstRead = fields === null;
+    if (firstRead) {
+      fields = res.meta?.fields || [];
+      headerProblems(fields, delimiter).forEach((problem) => addProblem({ ...problem, line: headerRow + 1 }));
+    }
+
+    // Papa numbers field-count errors by data row across the file, quote errors by parser row within
+    // the chunk (which counts the header line in the first chunk)
+    const chunkStart = dataRowsSeen;
+    const errorsByRow = new Map();
+    (res.errors || []).forEach((error) => {
+      if (typeof error.row !== "number") {
+        addProblem({ line: null, code: error.code, message: error.message, text: "" });
+        return;
+      }
+      const local = error.type === "FieldMismatch" ? error.row - chunkStart : error.row - (firstRead ? 1 : 0);
+      if (!errorsByRow.has(local)) errorsByRow.set(local, []);
+      errorsByRow.get(local).push(error);
+    });
+    dataRowsSeen += data.length;
+
+    const rows = [];
+    data.forEach((parsed, i) => {
+      const { [EXTRA_FIELDS_KEY]: extra = [], ...row } = parsed;
+      const cells = [...fields.map((field) => row[field]), ...extra];
+      const line = nextLine;
+      nextLine += 1 + cells.reduce((sum, cell) => sum + (String(cell ?? "").match(/\n/g) || []).length, 0);
+
+      // Empty lines (and the file's trailing newline) are dropped quietly; rows of bare delimiters are counted
+      const present = cells.filter((cell) => cell !== undefined);
+      if (present.every((cell) => String(cell).trim() === "")) {
+        if (present.length > 1) report.blankRows++;
+        return;
+      }
+      const errors = errorsByRow.get(i);
+      const mapped = applyValueTransforms(mapping ? applyColumnMapping(row, mapping) : row, transforms);
+      if (!errors) {
+        rows.push(mapped);
+        return;
+      }
+      const text = Papa.unparse([cells.filter((cell) => cell !== undefined)], { delimiter });
+      errors.forEach((error) => addProblem({ line, code: error.code, message: error.message, text }));
+      report.malformedRows++;
+      rows.push({ ...mapped, [INGEST_KEY]: { ...mapped[INGEST_KEY], problems: errors.map((error) => error.message) } });
+    });
+
+    const prepared = prepareUploadRows(rows);
+    report.recoveredBarcodes += prepared.summary.recoveredBarcodes;
+    report.truncatedBarcodes += prepared.summary.truncatedBarcodes;
+    return prepared.rows;
+  };
+
+  return { read, summary: () => ({ ...report, problems: [...problems] }) };
+};
+
+// Whole-file Papa results -> { rows, summary } (see createUploadReader)
+export const readParsedUpload = (res, options) => {
+  const reader = createUploadReader(options);
+  const rows = reader.read(res);
+  return { rows, summary: reader.summary() };
+};
+
+// Parse a file chunk by chunk without holding it all in memory. Each chunk of prepared rows goes
+// to onRows(rows, { rowsRead, summary }); parsing pauses until its promise resolves and stops
+// when it resolves false. `options` are the reader options plus the parse settings of parseConfigFor.
+// Resolves { rowsRead, summary, aborted }.
+export const streamUploadRows = (file, onRows, options = {}) =>
+  new Promise((resolve, reject) => {
+    const reader = createUploadReader(options);
+    let rowsRead = 0;
+    let aborted = false;
+    Papa.parse(file, {
+      ...parseConfigFor(options),
+      chunkSize: STREAM_CHUNK_BYTES,
+      chunk: (res, parser) => {
+        parser.pause();
+        const rows = reader.read(res);
+        rowsRead += rows.length;
+        Promise.resolve(onRows(rows, { rowsRead, summary: reader.summary() }))
+          .then((keepGoing) => {
+            if (keepGoing === false) {
+              aborted = true;
+              parser.abort();
+            } else parser.resume();
+          })
+          .catch((e) => {
+            aborted = true;
+            parser.abort();
+            reject(e);
+          });
+      },
+      complete: () => resolve({ rowsRead, summary: reader.summary(), aborted }),
+      error: (err) => reject(err),
+    });
+  });
+
+// Headers and the first rows of a file, read without parsing the rest -> { headers, rows }
+export const previewUpload = (file, settings = {}, rowCount = MAPPING_PREVIEW_ROWS) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      ...parseConfigFor(settings),
+      chunkSize: PREVIEW_CHUNK_BYTES,
+      skipEmptyLines: true,
+      preview: rowCount,
+      complete: (res) => resolve({ headers: res.meta?.fields || [], rows: res.data || [] }),
+      error: (err) => reject(err),
+    });
+  });
+
+// Raw preview rows as verification will read them: mapped, transformed and barcode-repaired
+export const mapPreviewRows = (rows, mapping, transforms = []) =>
+  prepareUploadRows(rows.map((row) => applyValueTransforms(applyColumnMapping(row, mapping), transforms))).rows;
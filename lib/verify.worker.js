@@ -0,0 +1,6 @@
+// Web Worker entry: runs a verification session off the main thread (protocol in ./verifySession).
+import { createVerifySession } from "./verifySession";
+
+const session = createVerifySession((message) => self.postMessage(message));
+
+self.onmessage = ({ data }) => session.handle(data);
@@ -0,0 +1,841 @@
+// Headless verification engine: upload rows + catalog source -> structured results.
+import {
+  norm,
+  normDigits,
+  normModel,
+  normManufacturer,
+  normalizeCell,
+} from "./normalize";
+import { ALIAS, FIELD_LABELS, CORE_FIELDS, OPTIONAL_FIELDS, INGEST_KEY, pickField, firstVal } from "./fields";
+import { GTIN_PROBLEM, describeGtinProblem, gtinKey, parseGtin } from "./gtin";
+import { editSimilarity, similarity } from "./similarity";
+import { createManufacturerNormalizer } from "./manufacturerAliases";
+import { calibersMatch, canonicalCaliber } from "./calibers";
+import { canonicalType, describeTypeMismatch, typesCompatible } from "./firearmTypes";
+import { DOMESTIC_COUNTRY, countriesMatch, countryCode, describeCountryMismatch } from "./countries";
+
+export const STATUS = {
+  VERIFIED: "VERIFIED",
+  NOT_VERIFIED: "NOT_VERIFIED",
+  NEEDS_REVIEW: "NEEDS_REVIEW", // closest catalog record is similar but below the auto-verify threshold
+  UPC_UNKNOWN: "UPC_UNKNOWN", // ATF fields matched, but the UPC is not in the catalog
+  INVALID_UPC: "INVALID_UPC", // barcode fails the GTIN check digit or is truncated
+  UNKNOWN: "UNKNOWN",
+};
+
+// How the catalog record used for comparison was found
+export const MATCH_SOURCE = {
+  UPC: "upc",
+  ATF: "atf", // manufacturer + model + type + caliber
+  FALLBACK: "fallback", // manufacturer + model only
+  FUZZY: "fuzzy", // similar manufacturer + model
+  NONE: "none",
+};
+
+// Filter / summary bucket for each status
+export const STATUS_GROUPS = ["VERIFIED", "NOT VERIFIED", "UNKNOWN"];
+
+export const statusGroup = (status) => {
+  if (status === STATUS.VERIFIED) return "VERIFIED";
+  if (status === STATUS.UNKNOWN || !status) return "UNKNOWN";
+  return "NOT VERIFIED";
+};
+
+// Human-readable status text for tables and exports
+export const statusLabel = (result) => {
+  switch (result?.status) {
+    case STATUS.VERIFIED:
+      return result.source === MATCH_SOURCE.UPC ? "VERIFIED ✅ (UPC & ATF match)" : "VERIFIED ✅ (ATF match)";
+    case STATUS.NEEDS_REVIEW:
+      return `NEEDS REVIEW ⚠️ (${result.mismatches.map((key) => FIELD_LABELS[key] || key).join(", ")})`;
+    case STATUS.UPC_UNKNOWN:
+      return "NOT VERIFIED ⚠️ (ATF match, UPC unknown)";
+    case STATUS.INVALID_UPC:
+      return "NOT VERIFIED ⚠️ (Invalid UPC)";
+    case STATUS.NOT_VERIFIED:
+      return `NOT VERIFIED ⚠️ (${result.mismatches.map((key) => FIELD_LABELS[key] || key).join(", ")})`;
+    default:
+      return "UNKNOWN ⚠️ (No catalog match)";
+  }
+};
+
+export const comparatorFactory = (normalizer, { allowContain = false } = {}) => {
+  return (a, b) => {
+    const na = normalizer(a);
+    const nb = normalizer(b);
+    if (!na || !nb) return na === nb;
+    if (na === nb) return true;
+    if (!allowContain) return false;
+    if (na.length < 3 || nb.length < 3) return false;
+    return na.includes(nb) || nb.includes(na);
+  };
+};
+
+// Normalizers and comparators for one run; manufacturer aliases resolve variants to one maker
+export const createFieldMatchers = ({ manufacturerAliases = [] } = {}) => {
+  const normalizers = {
+    manufacturer: createManufacturerNormalizer(manufacturerAliases),
+    model: normModel,
+    type: canonicalType,
+    caliber: canonicalCaliber,
+  };
+  return {
+    normalizers,
+    comparators: {
+      manufacturer: comparatorFactory(normalizers.manufacturer),
+      model: comparatorFactory(normalizers.model, { allowContain: true }),
+      type: typesCompatible,
+      caliber: calibersMatch,
+      importer: comparatorFactory(normManufacturer),
+      country: countriesMatch,
+    },
+    // Fields where near-misses are scored by similarity instead of failing outright
+    fuzzy: {
+      manufacturer: normalizers.manufacturer,
+      model: normalizers.model,
+      importer: normManufacturer,
+    },
+    // Field-specific mismatch reasons (default: "Catalog value differs")
+    explain: {
+      type: describeTypeMismatch,
+      country: describeCountryMismatch,
+    },
+  };
+};
+
+// Ranked catalog candidates kept per result for the review drawer
+export const DEFAULT_CANDIDATE_LIMIT = 3;
+
+export const DEFAULT_THRESHOLDS = {
+  verify: 0.9, // similarity at or above this counts as a match
+  review: 0.75, // between review and verify the row needs a human look
+};
+
+// One combo key per canonical type x caliber, so "Handgun" and multi-caliber entries are found under each
+const comboKeysOf = (n) =>
+  n.type
+    .split("/")
+    .flatMap((type) => n.caliber.split("/").map((caliber) => `${n.manufacturer}::${n.model}::${type}::${caliber}`));
+const fallbackKeyOf = (n) => `${n.manufacturer}::${n.model}`;
+
+const normalizeCore = (values, normalizers) => {
+  const out = {};
+  CORE_FIELDS.forEach((key) => {
+    out[key] = normalizers[key](values[key]);
+  });
+  return out;
+};
+
+const pushTo = (map, key, row) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(row);
+};
+
+// ---------- catalog index ----------
+export const createCatalogIndex = (matchers = createFieldMatchers()) => ({
+  matchers,
+  upcMap: new Map(), // GTIN-14 key -> catalog rows (handle duplicates)
+  atfCandidateMap: new Map(), // four-field combo key -> catalog rows
+  atfManufacturerModelMap: new Map(), // manufacturer::model -> catalog rows
+  manufacturerMap: new Map(), // manufacturer -> catalog rows (fuzzy model search)
+  failedUpcKeys: new Set(), // GTIN-14 keys whose catalog lookup failed after retries
+});
+
+export const indexUpcRows = (index, catalogRows) => {
+  for (const cRow of catalogRows) {
+    const key = gtinKey(cRow?.upc ?? "");
+    if (!key) continue;
+    pushTo(index.upcMap, key, cRow);
+  }
+};
+
+export const indexCatalogRows = (index, catalogRows) => {
+  for (const row of catalogRows) {
+    const normalized = normalizeCore(row || {}, index.matchers.normalizers);
+    if (CORE_FIELDS.some((key) => !normalized[key])) continue;
+    comboKeysOf(normalized).forEach((key) => pushTo(index.atfCandidateMap, key, row));
+    pushTo(index.atfManufacturerModelMap, fallbackKeyOf(normalized), row);
+    pushTo(index.manufacturerMap, normalized.manufacturer, row);
+  }
+};
+
+// ---------- per-row matching ----------
+const EXCLUDED_PASSTHROUGH = ["upc", "manufacturer", "model", "type", "caliber", "importer", "country", "serial", "status"];
+
+// Resolve the canonical fields of an upload row through the header aliases
+export const readUploadRow = (row) => {
+  const picks = {};
+  Object.keys(ALIAS).forEach((key) => {
+    picks[key] = pickField(row, ALIAS[key]);
+  });
+
+  const values = {};
+  Object.keys(FIELD_LABELS).forEach((key) => {
+    values[FIELD_LABELS[key]] = picks[key].value;
+  });
+
+  Object.entries(row).forEach(([key, value]) => {
+    if (key !== INGEST_KEY && !EXCLUDED_PASSTHROUGH.includes(key.toLowerCase())) {
+      values[key] = value;
+    }
+  });
+
+  return { picks, values };
+};
+
+// Parsed barcode of an upload row, honouring the parser's spreadsheet-recovery notes
+const readBarcode = (row, raw) => {
+  const parsed = parseGtin(raw);
+  const recovery = row?.[INGEST_KEY]?.barcode;
+  if (recovery?.truncated) {
+    return {
+      ...parsed,
+      gtin14: "",
+      valid: false,
+      problem: GTIN_PROBLEM.SPREADSHEET_TRUNCATED,
+      original: recovery.original,
+    };
+  }
+  if (recovery?.recovered) return { ...parsed, original: recovery.original };
+  return parsed;
+};
+
+// Score one upload value against a catalog value: 1 = agrees, 0 = conflicts
+const scoreField = (matchers, key, actual, expected) => {
+  const actualStr = normalizeCell(actual);
+  const expectedStr = normalizeCell(expected);
+  if (!expectedStr) return 1; // nothing to compare against
+  if (!actualStr) return 0;
+  const comparator = matchers.comparators[key] || ((a, b) => norm(a) === norm(b));
+  if (comparator(actualStr, expectedStr)) return 1;
+  const fuzzyNormalizer = matchers.fuzzy[key];
+  return fuzzyNormalizer ? similarity(actualStr, expectedStr, fuzzyNormalizer) : 0;
+};
+
+const fieldState = (score, thresholds) => {
+  if (score >= 1) return "match";
+  if (score >= thresholds.verify) return "fuzzy";
+  if (score >= thresholds.review) return "review";
+  return "mismatch";
+};
+
+const percent = (score) => `${Math.round(score * 100)}%`;
+
+// Record a field that is not an exact match; accepted fuzzy matches are kept as notes
+const recordField = (fields, key, actual, expected, score, thresholds, mismatchReason) => {
+  const state = fieldState(score, thresholds);
+  if (state === "match") return;
+  const reasons = {
+    fuzzy: `Close match (${percent(score)})`,
+    review: `Possible match (${percent(score)}), needs review`,
+    mismatch: mismatchReason,
+  };
+  fields[key] = {
+    match: state === "fuzzy",
+    state,
+    score,
+    actual: normalizeCell(actual),
+    expected: normalizeCell(expected),
+    reason: reasons[state],
+  };
+};
+
+const mismatchReasonFor = (matchers, key, actual, expected) => {
+  const explain = matchers.explain[key];
+  if (!explain || !normalizeCell(actual) || !normalizeCell(expected)) return "Catalog value differs";
+  return explain(normalizeCell(actual), normalizeCell(expected));
+};
+
+const flagField = (fields, key, actual, expected, reason) => {
+  fields[key] = {
+    match: false,
+    state: "mismatch",
+    score: 0,
+    actual: normalizeCell(actual),
+    expected: normalizeCell(expected),
+    reason: reason || "Mismatch",
+  };
+};
+
+const statusFromFields = (fields) => {
+  const states = Object.values(fields).map((field) => field.state);
+  if (states.includes("mismatch")) return STATUS.NOT_VERIFIED;
+  if (states.includes("review")) return STATUS.NEEDS_REVIEW;
+  return STATUS.VERIFIED;
+};
+
+// A row is only as trustworthy as its weakest compared field
+const confidenceOf = (fields, keys) =>
+  keys.reduce((lowest, key) => Math.min(lowest, fields[key] ? fields[key].score : 1), 1);
+
+const totalScore = (ctx, cRow) =>
+  ctx.keys.reduce((sum, key) => sum + scoreField(ctx.matchers, key, ctx.actual(key), cRow?.[key]), 0);
+
+const bestCandidate = (ctx, candidates) => {
+  let best = null;
+  let bestScore = -1;
+  candidates.forEach((cRow) => {
+    const score = totalScore(ctx, cRow);
+    if (score > bestScore) {
+      best = cRow;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Compare the given fields against a single catalog record
+const compareRecord = (ctx, cRow, keys, fields = {}) => {
+  const { matchers, actual, thresholds } = ctx;
+  keys.forEach((key) => {
+    const score = scoreField(matchers, key, actual(key), cRow?.[key]);
+    const reason = mismatchReasonFor(matchers, key, actual(key), cRow?.[key]);
+    recordField(fields, key, actual(key), cRow?.[key], score, thresholds, reason);
+  });
+  return fields;
+};
+
+// Compare the given fields where each may agree with any candidate
+const compareAcross = (ctx, candidates, keys, fields = {}) => {
+  const { matchers, actual, thresholds } = ctx;
+  keys.forEach((key) => {
+    let bestScore = -1;
+    let expected = "";
+    candidates.forEach((cRow) => {
+      const score = scoreField(matchers, key, actual(key), cRow?.[key]);
+      if (score > bestScore) {
+        bestScore = score;
+        expected = cRow?.[key];
+      }
+    });
+    const reason = mismatchReasonFor(matchers, key, actual(key), expected);
+    recordField(fields, key, actual(key), expected, bestScore, thresholds, reason);
+  });
+  return fields;
+};
+
+const matchedWith = (ctx, fields, source) => ({
+  status: statusFromFields(fields),
+  source,
+  fields,
+  confidence: confidenceOf(fields, ctx.keys),
+});
+
+// Similar manufacturer and similar model: catches typos that miss every exact key
+const findFuzzyCandidates = (normalizedCore, catalogIndex, thresholds) => {
+  if (!normalizedCore.manufacturer || !normalizedCore.model) return [];
+  const candidates = [];
+  catalogIndex.manufacturerMap.forEach((rows, manufacturerKey) => {
+    if (editSimilarity(normalizedCore.manufacturer, manufacturerKey) < thresholds.review) return;
+    rows.forEach((cRow) => {
+      const modelKey = catalogIndex.matchers.normalizers.model(cRow?.model);
+      if (editSimilarity(normalizedCore.model, modelKey) >= thresholds.review) candidates.push(cRow);
+    });
+  });
+  return candidates;
+};
+
+const buildResult = (
+  index,
+  values,
+  status,
+  source,
+  fields,
+  confidence,
+  barcode,
+  candidates,
+  trace,
+  inputProblems,
+  origin
+) => ({
+  index,
+  status,
+  source,
+  confidence,
+  mismatches: Object.keys(fields).filter((key) => fields[key].match === false),
+  fields,
+  values,
+  barcode,
+  candidates,
+  trace,
+  inputProblems, // parser problems on the upload row (malformed rows kept for verification)
+  origin, // { id, file, location } of the upload file in multi-file runs, else null
+});
+
+const LOOKUP_ORDER = [MATCH_SOURCE.UPC, MATCH_SOURCE.ATF, MATCH_SOURCE.FALLBACK, MATCH_SOURCE.FUZZY];
+
+const LOOKUP_LABELS = {
+  [MATCH_SOURCE.UPC]: "UPC index",
+  [MATCH_SOURCE.ATF]: "four-field combo index",
+  [MATCH_SOURCE.FALLBACK]: "manufacturer + model index",
+  [MATCH_SOURCE.FUZZY]: "similar manufacturer + model search",
+};
+
+const describeRecord = (cRow) =>
+  [cRow?.manufacturer, cRow?.model, cRow?.type, cRow?.caliber, cRow?.upc && `UPC ${cRow.upc}`]
+    .filter(Boolean)
+    .join(" · ");
+
+// Record each lookup's outcome and why every other record in the pool lost to `chosen`
+const traceLookups = (trace, lookups, pool, used, chosen) => {
+  LOOKUP_ORDER.filter((source) => lookups[source]).forEach((source) => {
+    const { key, candidates, skipped, failed } = lookups[source];
+    let outcome = "No catalog rows under this key";
+    if (!key) outcome = `Skipped: ${skipped}`;
+    else if (failed) outcome = "Lookup failed after retries";
+    else if (source === used) outcome = `Used (${chosen.length} of ${candidates.length} compared)`;
+    else if (candidates.length > 0) outcome = `Not used: ${LOOKUP_LABELS[used]} takes precedence`;
+    trace.lookups.push({ index: LOOKUP_LABELS[source], key, candidates: candidates.length, outcome });
+  });
+  pool.forEach((source, cRow) => {
+    if (chosen.includes(cRow)) return;
+    const reason =
+      source === used
+        ? "Lower agreement than the record compared"
+        : `Found by ${LOOKUP_LABELS[source]}; ${LOOKUP_LABELS[used]} takes precedence`;
+    trace.rejected.push({ record: describeRecord(cRow), reason });
+  });
+};
+
+// Find the catalog record(s) for a row; `upcKey` is its GTIN-14 ("" when absent or invalid)
+const matchCatalog = (ctx, upcKey, catalogIndex) => {
+  const { matchers, actual, thresholds, keys, trace } = ctx;
+  const optionalKeys = keys.filter((key) => !CORE_FIELDS.includes(key));
+  const normalizedCore = normalizeCore(
+    {
+      manufacturer: actual("manufacturer"),
+      model: actual("model"),
+      type: actual("type"),
+      caliber: actual("caliber"),
+    },
+    matchers.normalizers
+  );
+  trace.normalized = { upc: upcKey, ...normalizedCore };
+
+  const upcCandidates = upcKey ? catalogIndex.upcMap.get(upcKey) || [] : [];
+  const comboKeys = comboKeysOf(normalizedCore);
+  const coreCandidates = Array.from(
+    new Set(comboKeys.flatMap((key) => catalogIndex.atfCandidateMap.get(key) || []))
+  );
+  const fallbackKey = fallbackKeyOf(normalizedCore);
+  const fallbackCandidates = catalogIndex.atfManufacturerModelMap.get(fallbackKey) || [];
+  const hasCore = CORE_FIELDS.every((key) => normalizedCore[key]);
+  const lookups = {
+    [MATCH_SOURCE.UPC]: {
+      key: upcKey,
+      candidates: upcCandidates,
+      skipped: "no valid UPC",
+      failed: upcCandidates.length === 0 && catalogIndex.failedUpcKeys.has(upcKey),
+    },
+    [MATCH_SOURCE.ATF]: {
+      key: hasCore ? comboKeys.join(" | ") : "",
+      candidates: coreCandidates,
+      skipped: "a core field is empty",
+    },
+    [MATCH_SOURCE.FALLBACK]: {
+      key: normalizedCore.manufacturer && normalizedCore.model ? fallbackKey : "",
+      candidates: fallbackCandidates,
+      skipped: "manufacturer or model is empty",
+    },
+  };
+
+  // Every record looked at, with how it was found (first lookup wins)
+  const pool = new Map();
+  const addToPool = (source, candidates) =>
+    candidates.forEach((cRow) => {
+      if (!pool.has(cRow)) pool.set(cRow, source);
+    });
+  addToPool(MATCH_SOURCE.UPC, upcCandidates);
+  addToPool(MATCH_SOURCE.ATF, coreCandidates);
+  addToPool(MATCH_SOURCE.FALLBACK, fallbackCandidates);
+
+  // UPC hit: compare the ATF fields against the closest catalog record for that UPC
+  if (upcCandidates.length > 0) {
+    const best = bestCandidate(ctx, upcCandidates);
+    traceLookups(trace, lookups, pool, MATCH_SOURCE.UPC, [best]);
+    const fields = compareRecord(ctx, best, keys);
+    return { ...matchedWith(ctx, fields, MATCH_SOURCE.UPC), pool };
+  }
+
+  // Exact four-field ATF match; optional fields may agree with any of the matching records
+  if (coreCandidates.length > 0) {
+    traceLookups(trace, lookups, pool, MATCH_SOURCE.ATF, coreCandidates);
+    const fields = compareAcross(ctx, coreCandidates, optionalKeys);
+    const matched = matchedWith(ctx, fields, MATCH_SOURCE.ATF);
+    if (upcKey) {
+      flagField(fields, "upc", actual("upc"), "", "UPC not found in catalog; matched by ATF fields");
+      // A mismatched optional field (country, importer) keeps the row NOT_VERIFIED
+      const upcOnly = matched.status === STATUS.VERIFIED || matched.status === STATUS.NEEDS_REVIEW;
+      return { ...matched, status: upcOnly ? STATUS.UPC_UNKNOWN : matched.status, pool };
+    }
+    return { ...matched, pool };
+  }
+
+  // Manufacturer + model fallback: each field may agree with any candidate
+  if (fallbackCandidates.length > 0) {
+    traceLookups(trace, lookups, pool, MATCH_SOURCE.FALLBACK, fallbackCandidates);
+    return { ...matchedWith(ctx, compareAcross(ctx, fallbackCandidates, keys), MATCH_SOURCE.FALLBACK), pool };
+  }
+
+  const fuzzyCandidates = findFuzzyCandidates(normalizedCore, catalogIndex, thresholds);
+  addToPool(MATCH_SOURCE.FUZZY, fuzzyCandidates);
+  lookups[MATCH_SOURCE.FUZZY] = {
+    key: lookups[MATCH_SOURCE.FALLBACK].key && `${fallbackKey} (similarity ≥ ${percent(thresholds.review)})`,
+    candidates: fuzzyCandidates,
+    skipped: "manufacturer or model is empty",
+  };
+  if (fuzzyCandidates.length > 0) {
+    const best = bestCandidate(ctx, fuzzyCandidates);
+    traceLookups(trace, lookups, pool, MATCH_SOURCE.FUZZY, [best]);
+    const fields = compareRecord(ctx, best, keys);
+    return { ...matchedWith(ctx, fields, MATCH_SOURCE.FUZZY), pool };
+  }
+
+  traceLookups(trace, lookups, pool, MATCH_SOURCE.NONE, []);
+  const fields = {};
+  const missReason = "No catalog record matched these normalized fields";
+  CORE_FIELDS.forEach((key) => flagField(fields, key, actual(key), "", missReason));
+  return { status: STATUS.UNKNOWN, source: MATCH_SOURCE.NONE, fields, confidence: 0, pool };
+};
+
+// Top catalog records for a row with per-field agreement, best first
+const rankCandidates = (ctx, pool, limit) => {
+  const { matchers, actual, thresholds, keys } = ctx;
+  return Array.from(pool, ([record, source]) => {
+    const fields = {};
+    let total = 0;
+    keys.forEach((key) => {
+      const score = scoreField(matchers, key, actual(key), record?.[key]);
+      total += score;
+      fields[key] = { expected: normalizeCell(record?.[key]), score, state: fieldState(score, thresholds) };
+    });
+    return { record, source, score: total / keys.length, fields };
+  })
+    .sort((a, b) => b.score - a.score || LOOKUP_ORDER.indexOf(a.source) - LOOKUP_ORDER.indexOf(b.source))
+    .slice(0, limit);
+};
+
+// Imported firearms must carry importer markings (27 CFR 478.92)
+const checkImporterMarking = (actual, fields) => {
+  if (normalizeCell(actual("importer"))) return;
+  const code = countryCode(actual("country")) || countryCode(fields.country?.expected);
+  if (!code || code === DOMESTIC_COUNTRY) return;
+  const reason = `Foreign-made (${code}) but no importer listed`;
+  flagField(fields, "importer", actual("importer"), fields.importer?.expected, reason);
+};
+
+// Match a single upload row against a prepared catalog index
+export const verifyRow = (row, rowIndex, catalogIndex, options = {}) => {
+  const { picks, values } = readUploadRow(row);
+  // Per-row diagnostics for support: where each field was read from and which lookups ran
+  const trace = { headers: {}, raw: {}, normalized: {}, lookups: [], rejected: [] };
+  // Mapped columns carry the canonical label; name the column as it was in the file
+  const sourceColumns = row?.[INGEST_KEY]?.columns || {};
+  Object.keys(ALIAS).forEach((key) => {
+    trace.headers[key] = picks[key].key && (sourceColumns[picks[key].key] ?? picks[key].key);
+    trace.raw[key] = picks[key].value;
+  });
+  const ctx = {
+    matchers: catalogIndex.matchers,
+    actual: (key) => picks[key].value,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...options.thresholds },
+    keys: [...CORE_FIELDS, ...(options.optionalFields || []).filter((key) => OPTIONAL_FIELDS.includes(key))],
+    trace,
+  };
+  const { actual } = ctx;
+  const barcode = readBarcode(row, actual("upc"));
+  const inputProblems = row?.[INGEST_KEY]?.problems || [];
+  const origin = row?.[INGEST_KEY]?.source || null;
+  const upcKey = barcode.valid ? barcode.gtin14 : "";
+  const match = matchCatalog(ctx, upcKey, catalogIndex);
+  const { source, fields, confidence } = match;
+  const candidates = rankCandidates(ctx, match.pool, options.candidateLimit ?? DEFAULT_CANDIDATE_LIMIT);
+  let { status } = match;
+
+  if (ctx.keys.includes("importer") || ctx.keys.includes("country")) {
+    checkImporterMarking(actual, fields);
+    if (status === STATUS.VERIFIED || status === STATUS.NEEDS_REVIEW) status = statusFromFields(fields);
+    else if (status === STATUS.UPC_UNKNOWN && fields.importer?.state === "mismatch") status = STATUS.NOT_VERIFIED;
+  }
+
+  // The UPC may be in the catalog even though nothing came back; never report that row as settled.
+  // Only outcomes that lean on the missing lookup are raised; a NOT_VERIFIED row keeps its status, since
+  // its ATF fields already disagree with the catalog.
+  if (upcKey && source !== MATCH_SOURCE.UPC && catalogIndex.failedUpcKeys.has(upcKey)) {
+    fields.upc = {
+      match: false,
+      state: "review",
+      score: 0,
+      actual: normalizeCell(actual("upc")),
+      expected: "",
+      reason: "Catalog lookup for this UPC failed; re-run verification",
+    };
+    if ([STATUS.VERIFIED, STATUS.UPC_UNKNOWN, STATUS.UNKNOWN].includes(status)) status = STATUS.NEEDS_REVIEW;
+  }
+
+  // Invalid or truncated barcodes never reach the UPC index; the ATF fields are still checked
+  if (barcode.digits && !barcode.valid) {
+    flagField(fields, "upc", actual("upc"), "", describeGtinProblem(barcode));
+    return buildResult(
+      rowIndex,
+      values,
+      STATUS.INVALID_UPC,
+      source,
+      fields,
+      confidence,
+      barcode,
+      candidates,
+      trace,
+      inputProblems,
+      origin
+    );
+  }
+  if (barcode.original && !fields.upc) {
+    fields.upc = {
+      match: true,
+      state: "note",
+      actual: normalizeCell(actual("upc")),
+      expected: "",
+      reason: `Recovered from "${barcode.original}"`,
+    };
+  }
+  return buildResult(
+    rowIndex,
+    values,
+    status,
+    source,
+    fields,
+    confidence,
+    barcode,
+    candidates,
+    trace,
+    inputProblems,
+    origin
+  );
+};
+
+// ---------- full run ----------
+// Phases reported through options.onProgress({ phase, done, total })
+export const PROGRESS_PHASE = {
+  SYNC: "sync", // pulling catalog changes into the local cache (done = rows changed)
+  INDEX: "index", // building the local cache's match index (done of total cached rows)
+  CATALOG: "catalog", // looking up catalog candidates for a chunk of upload rows
+  MATCHING: "matching", // matching upload rows (done of total)
+};
+
+const MATCH_BATCH_SIZE = 250; // rows per options.onResults(batch) call
+
+// Incremental verifier for uploads that arrive in chunks (streaming parse). Catalog candidates are
+// looked up per chunk, only for UPCs and manufacturer/model pairs not seen in earlier chunks, and
+// results are handed to options.onResults without being kept, so memory stays bounded by the chunk.
+// verifyChunk(rows) -> results of that chunk (indexes continue across chunks); finish() -> debug.
+// Chunks must be verified one at a time.
+export const createRowVerifier = (catalogSource, options = {}) => {
+  const { onProgress = () => {}, onResults = () => {} } = options;
+  const review = { ...DEFAULT_THRESHOLDS, ...options.thresholds }.review;
+  let catalogIndex = createCatalogIndex(createFieldMatchers(options));
+  let prepared = null;
+  let nextIndex = 0;
+  const requestedUpcs = new Set();
+  const requestedPairs = new Set();
+  const upcIndexed = new Set(); // catalog rows already in upcMap / in the ATF indexes
+  const rowsIndexed = new Set();
+  const stats = {
+    uploadPreview: [],
+    catalogPreview: [],
+    unknownUPCCount: 0,
+    invalidUpcCount: 0,
+    atfOnlyRows: 0,
+  };
+
+  const onlyNew = (seen, catalogRows) =>
+    catalogRows.filter((cRow) => {
+      const id = cRow?.id ?? cRow;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+  const noteCatalogUpcs = (catalogRows) => {
+    catalogRows.slice(0, 10 - stats.catalogPreview.length).forEach((c) => {
+      stats.catalogPreview.push({ raw: c.upc ?? "", digits: normDigits(c.upc ?? ""), gtin14: gtinKey(c.upc ?? "") });
+    });
+  };
+
+  // One-time setup: the prebuilt index of the local cache; indexed lookups fill the index chunk by chunk
+  const prepare = async () => {
+    if (catalogSource.loadCatalogIndex) {
+      catalogIndex = await catalogSource.loadCatalogIndex(catalogIndex.matchers, options);
+    }
+  };
+
+  // Bring the catalog rows this chunk can match into the index
+  const lookupChunk = async (rows) => {
+    const upcKeys = new Set();
+    rows.forEach((r) => {
+      const raw = firstVal(r, ALIAS.upc);
+      const { digits, gtin14, valid } = readBarcode(r, raw);
+      if (valid && !requestedUpcs.has(gtin14)) upcKeys.add(gtin14);
+      if (digits && stats.uploadPreview.length < 10) stats.uploadPreview.push({ raw, digits, gtin14, valid });
+      if (!digits) stats.atfOnlyRows++;
+    });
+    upcKeys.forEach((key) => requestedUpcs.add(key));
+
+    if (catalogSource.loadCatalogIndex) {
+      noteCatalogUpcs(Array.from(upcKeys).flatMap((key) => catalogIndex.upcMap.get(key) || []));
+    } else {
+      // Indexed lookup: only the rows this chunk's UPCs and manufacturer/model pairs can reach
+      const pairs = new Map();
+      rows.forEach((r) => {
+        const manufacturer = normalizeCell(firstVal(r, ALIAS.manufacturer));
+        const model = normalizeCell(firstVal(r, ALIAS.model));
+        const key = `${manufacturer}::${model}`;
+        if (manufacturer && model && !requestedPairs.has(key)) pairs.set(key, { manufacturer, model });
+      });
+      pairs.forEach((pair, key) => requestedPairs.add(key));
+      if (upcKeys.size === 0 && pairs.size === 0) return;
+      onProgress({ phase: PROGRESS_PHASE.CATALOG, done: 0, total: rows.length });
+      const { rows: candidates, failedUpcs } = await catalogSource.fetchCandidates({
+        upcs: Array.from(upcKeys),
+        pairs: Array.from(pairs.values()),
+        review,
+      });
+      // A failed UPC is asked for again by the next chunk that has it (long-lived scan sessions)
+      upcKeys.forEach((key) => catalogIndex.failedUpcKeys.delete(key));
+      failedUpcs.forEach((upc) => {
+        catalogIndex.failedUpcKeys.add(gtinKey(upc));
+        requestedUpcs.delete(gtinKey(upc));
+      });
+      const catalogUpc = onlyNew(
+        upcIndexed,
+        candidates.filter((cRow) => upcKeys.has(gtinKey(cRow?.upc ?? "")))
+      );
+      noteCatalogUpcs(catalogUpc);
+      indexUpcRows(catalogIndex, catalogUpc);
+      indexCatalogRows(catalogIndex, onlyNew(rowsIndexed, candidates));
+    }
+  };
+
+  const verifyChunk = async (rows, { total = null } = {}) => {
+    if (!prepared) prepared = prepare();
+    await prepared;
+    await lookupChunk(rows);
+
+    const results = [];
+    for (let from = 0; from < rows.length; from += MATCH_BATCH_SIZE) {
+      onProgress({ phase: PROGRESS_PHASE.MATCHING, done: nextIndex, total });
+      const batch = rows.slice(from, from + MATCH_BATCH_SIZE).map((r) => verifyRow(r, nextIndex++, catalogIndex, options));
+      batch.forEach((result) => {
+        if (result.status === STATUS.UNKNOWN && normDigits(result.values.UPC) !== "") stats.unknownUPCCount++;
+        if (result.status === STATUS.INVALID_UPC) stats.invalidUpcCount++;
+      });
+      results.push(...batch);
+      onResults(batch);
+    }
+    return results;
+  };
+
+  const finish = async () => {
+    if (!prepared) prepared = prepare();
+    await prepared;
+    onProgress({ phase: PROGRESS_PHASE.MATCHING, done: nextIndex, total: nextIndex });
+
+    let duplicateHitCount = 0;
+    for (const hits of catalogIndex.upcMap.values()) {
+      if (hits.length > 1) duplicateHitCount++;
+    }
+    return {
+      ...stats,
+      duplicateCatalogUpcKeys: duplicateHitCount,
+      failedUpcLookups: catalogIndex.failedUpcKeys.size,
+    };
+  };
+
+  return { verifyChunk, finish };
+};
+
+// Whole upload at once -> { results, debug }
+export const verifyRows = async (rows, catalogSource, options = {}) => {
+  const verifier = createRowVerifier(catalogSource, options);
+  const results = await verifier.verifyChunk(rows, { total: rows.length });
+  return { results, debug: await verifier.finish() };
+};
+
+export const formatConfidence = (confidence) => (typeof confidence === "number" ? percent(confidence) : "");
+
+// Plain-text match trace for one result, for pasting into a support ticket
+export const formatTrace = (result) => {
+  if (result.traceText !== undefined) return result.traceText;
+  const { trace } = result;
+  if (!trace) return "";
+  const fromSource = result.origin ? ` · ${originLabel(result.origin)}` : "";
+  const lines = [`Row ${result.index + 1}${fromSource}: ${statusLabel(result)} via ${result.source}`];
+  if (result.inputProblems?.length > 0) {
+    lines.push("", "Input problems:");
+    result.inputProblems.forEach((problem) => lines.push(`  ${problem}`));
+  }
+  lines.push("", "Fields read:");
+  Object.keys(trace.raw).forEach((key) => {
+    const from = trace.headers[key] ? `column "${trace.headers[key]}"` : "no matching column";
+    const normalized = trace.normalized[key] !== undefined ? ` -> "${trace.normalized[key]}"` : "";
+    lines.push(`  ${FIELD_LABELS[key] || key}: "${normalizeCell(trace.raw[key])}" (${from})${normalized}`);
+  });
+  lines.push("", "Lookups:");
+  trace.lookups.forEach(({ index, key, candidates, outcome }) => {
+    lines.push(`  ${index} [${key || "-"}]: ${candidates} candidate(s). ${outcome}`);
+  });
+  if (trace.rejected.length > 0) {
+    lines.push("", "Rejected candidates:");
+    trace.rejected.forEach(({ record, reason }) => lines.push(`  ${record}: ${reason}`));
+  }
+  const fieldNotes = Object.entries(result.fields).map(
+    ([key, field]) => `${FIELD_LABELS[key] || key}: ${field.reason}`
+  );
+  if (fieldNotes.length > 0) {
+    lines.push("", "Field notes:");
+    fieldNotes.forEach((note) => lines.push(`  ${note}`));
+  }
+  return lines.join("\n");
+};
+
+// A VERIFIED result as kept by runs that stream a large file (the session's `compactVerified`): its
+// alternative candidates are dropped and the match trace is kept as text, so settled rows cost little
+// memory. Smaller runs keep full results for the candidate drawer.
+export const compactResult = (result) =>
+  result.status === STATUS.VERIFIED
+    ? { ...result, candidates: [], trace: null, traceText: formatTrace(result) }
+    : result;
+
+// Upload source columns of multi-file runs, in the results grid and the export
+export const ORIGIN_COLUMNS = { "Source File": "file", "Source Location": "location" };
+
+export const originLabel = (origin) => [origin.file, origin.location].filter(Boolean).join(" · ");
+
+// Flat row for CSV / spreadsheet export
+export const toExportRow = (result) => ({
+  ...(result.origin && { "Source File": result.origin.file, "Source Location": result.origin.location }),
+  ...result.values,
+  Status: statusLabel(result),
+  "Match Source": result.source,
+  Confidence: formatConfidence(result.confidence),
+  "Mismatched Fields": result.mismatches.map((key) => FIELD_LABELS[key] || key).join(", "),
+  "Input Problems": (result.inputProblems || []).join("; "),
+});
+
+// Status counts per upload source -> [{ id, file, location, total, VERIFIED, "NOT VERIFIED", UNKNOWN }]
+// in first-seen order; empty unless the results carry origins
+export const summarizeBySource = (results) => {
+  const bySource = new Map();
+  results.forEach((result) => {
+    if (!result.origin) return;
+    const { id, file, location } = result.origin;
+    if (!bySource.has(id)) {
+      const groups = Object.fromEntries(STATUS_GROUPS.map((group) => [group, 0]));
+      bySource.set(id, { id, file, location, total: 0, ...groups });
+    }
+    const counts = bySource.get(id);
+    counts.total++;
+    counts[statusGroup(result.status)]++;
+  });
+  return [...bySource.values()];
+};
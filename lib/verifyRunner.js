@@ -0,0 +1,121 @@
+// Starts verification runs in a Web Worker (main-thread fallback when workers are unavailable).
+// Results arrive in batches through onResults. `useCache` verifies against the IndexedDB catalog
+// cache instead of the server-side lookup; both need the signed-in user's `accessToken` (the cache only
+// to sync).
+// `compactVerified` keeps VERIFIED results small (see compactResult) for runs that stream large files.
+import { createVerifySession } from "./verifySession";
+
+// Row chunks queued ahead of the verifier before push() makes the caller wait
+export const MAX_PENDING_CHUNKS = 2;
+
+const openSession = (onMessage) => {
+  if (typeof Worker === "undefined") {
+    const session = createVerifySession((message) => onMessage(message));
+    return { send: (message) => session.handle(message), stop: () => session.stop() };
+  }
+  const worker = new Worker(new URL("./verify.worker.js", import.meta.url));
+  worker.onmessage = ({ data }) => onMessage(data);
+  worker.onerror = (e) => onMessage({ type: "error", message: e.message || "Verification worker failed." });
+  return { send: (message) => worker.postMessage(message), stop: () => worker.terminate() };
+};
+
+// Verify an upload that arrives in chunks. Returns { push(rows, total), end(), done, cancel() }:
+// push resolves true once there is room for another chunk (false when the run has stopped), so a
+// parser can pause on it; `done` resolves with the debug summary, or null when cancelled.
+export const startStreamingVerification = (
+  options,
+  { onProgress, onResults, onCacheStatus = () => {} },
+  { useCache = false, accessToken = null, compactVerified = false } = {}
+) => {
+  let running = true;
+  let pending = 0;
+  let waiting = [];
+  let settle;
+  const done = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  const wake = () => {
+    const ready = waiting;
+    waiting = [];
+    ready.forEach((resolve) => resolve(running));
+  };
+
+  const finish = (outcome) => {
+    if (!running) return;
+    running = false;
+    session.stop();
+    wake();
+    outcome();
+  };
+
+  const session = openSession((message) => {
+    if (message.type === "progress") onProgress(message.progress);
+    else if (message.type === "results") onResults(message.results);
+    else if (message.type === "cache") onCacheStatus(message.status);
+    else if (message.type === "consumed") {
+      pending--;
+      if (pending < MAX_PENDING_CHUNKS) wake();
+    } else if (message.type === "done") finish(() => settle.resolve(message.debug));
+    else if (message.type === "error") finish(() => settle.reject(new Error(message.message)));
+  });
+  session.send({ type: "start", options, useCache, accessToken, compactVerified });
+
+  return {
+    push: (rows, total = null) => {
+      if (!running) return Promise.resolve(false);
+      pending++;
+      session.send({ type: "rows", rows, total });
+      if (pending < MAX_PENDING_CHUNKS) return Promise.resolve(true);
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    end: () => running && session.send({ type: "end" }),
+    done,
+    // Stops the run mid-way; `done` resolves with null so callers keep the partial results
+    cancel: () => finish(() => settle.resolve(null)),
+  };
+};
+
+// Verify rows that are already in memory. Returns { done: Promise<debug|null>, cancel() }.
+export const startVerification = (rows, options, callbacks, settings) => {
+  const run = startStreamingVerification(options, callbacks, settings);
+  run.push(rows, rows.length);
+  run.end();
+  return { done: run.done, cancel: run.cancel };
+};
+
+// Verifier for rows that arrive one at a time (counter scans). One session serves every row, so the
+// catalog rows it has looked up, or the cache sync and index it loaded, are reused. Returns
+// { verify(row) -> Promise<result>, isOpen(), close() }; after an error the verifier stays closed.
+export const openVerifier = (options, { useCache = false, accessToken = null } = {}) => {
+  let failure = null;
+  let waiting = []; // { resolve, reject, results } per row sent, in order
+  const fail = (error) => {
+    failure = error;
+    session.stop();
+    waiting.forEach((request) => request.reject(error));
+    waiting = [];
+  };
+
+  const session = openSession((message) => {
+    if (failure) return;
+    if (message.type === "results") waiting[0]?.results.push(...message.results);
+    else if (message.type === "consumed") {
+      const request = waiting.shift();
+      request?.resolve(request.results[0] ?? null);
+    } else if (message.type === "error") fail(new Error(message.message));
+  });
+  session.send({ type: "start", options, useCache, accessToken });
+
+  return {
+    verify: (row) => {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject, results: [] });
+        session.send({ type: "rows", rows: [row], total: null });
+      });
+    },
+    isOpen: () => !failure,
+    close: () => !failure && fail(new Error("Verifier closed.")),
+  };
+};
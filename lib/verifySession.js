@@ -0,0 +1,59 @@
+// Message protocol of a verification run, shared by the Web Worker and its main-thread fallback.
+// In:  { type: "start", options, useCache, accessToken, compactVerified } | { type: "rows", rows, total }
+//      | { type: "end" }
+// Out: { type: "progress", progress } | { type: "results", results } | { type: "cache", status }
+//      | { type: "consumed" } once per rows message | { type: "done", debug } | { type: "error", message }
+// Row chunks are verified one at a time in arrival order. With `compactVerified` (runs streaming a
+// large file) VERIFIED results are sent compacted, see compactResult.
+import { createCachedCatalogSource } from "./catalogCache";
+import { createApiCatalogSource } from "./catalogSource";
+import { compactResult, createRowVerifier } from "./verifyEngine";
+
+export const createVerifySession = (post) => {
+  let verifier = null;
+  let queue = Promise.resolve();
+  let stopped = false;
+  const emit = (message) => !stopped && post(message);
+
+  const enqueue = (step) => {
+    queue = queue.then(async () => {
+      if (stopped) return;
+      try {
+        await step();
+      } catch (e) {
+        stopped = true;
+        post({ type: "error", message: e.message || "Verification failed." });
+      }
+    });
+  };
+
+  const start = ({ options, useCache, accessToken, compactVerified }) => {
+    const catalogSource = useCache
+      ? createCachedCatalogSource({ accessToken, onSync: (status) => emit({ type: "cache", status }) })
+      : createApiCatalogSource({ accessToken });
+    verifier = createRowVerifier(catalogSource, {
+      ...options,
+      onProgress: (progress) => emit({ type: "progress", progress }),
+      onResults: (results) =>
+        emit({ type: "results", results: compactVerified ? results.map(compactResult) : results }),
+    });
+  };
+
+  return {
+    handle: (message) => {
+      if (message.type === "start") start(message);
+      else if (message.type === "rows") {
+        enqueue(async () => {
+          await verifier.verifyChunk(message.rows, { total: message.total ?? null });
+          emit({ type: "consumed" });
+        });
+      } else if (message.type === "end") {
+        enqueue(async () => emit({ type: "done", debug: await verifier.finish() }));
+      }
+    },
+    // Drop queued work and stay silent (cancelled run)
+    stop: () => {
+      stopped = true;
+    },
+  };
+};
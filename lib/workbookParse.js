@@ -0,0 +1,83 @@
+// Excel workbook uploads (.xlsx / .xls). The chosen sheet is written out as CSV text with every cell
+// as text, so workbooks go through the same parsing, column mapping and import profiles as CSV files.
+import Papa from "papaparse";
+import { suggestColumnMapping } from "./columnMapping";
+
+export const WORKBOOK_EXTENSIONS = [".xlsx", ".xls"];
+export const UPLOAD_ACCEPT = [".csv", ...WORKBOOK_EXTENSIONS].join(",");
+
+// Rows searched for the header row; report titles and blank rows above it are skipped
+const HEADER_SEARCH_ROWS = 20;
+
+// SheetJS (the xlsx-js-style build, which also writes cell styles) is loaded on first use, so CSV
+// uploads don't download it
+export const loadXlsx = () => import("xlsx-js-style").then((mod) => mod.default ?? mod);
+
+export const isWorkbookFile = (file) => {
+  const name = file.name.toLowerCase();
+  return WORKBOOK_EXTENSIONS.some((ext) => name.endsWith(ext));
+};
+
+// A cell as text. Whole numbers in General format are written out in full instead of Excel's display
+// text ("7.64503E+11" for a UPC); other cells keep their displayed text, so padded codes ("000123")
+// and dates read as they look in Excel.
+const cellText = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null) return "";
+  if (cell.t === "s") return String(cell.v);
+  if (cell.t === "n" && (!cell.z || cell.z === "General") && Number.isInteger(cell.v)) return String(cell.v);
+  return cell.w ?? String(cell.v);
+};
+
+// Sheet -> rows of cell text from row 1 (so CSV lines are sheet rows), trimmed to the used cells
+const sheetRows = (XLSX, sheet) => {
+  if (!sheet?.["!ref"]) return [];
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const rows = [];
+  let width = 0;
+  for (let r = 0; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) row.push(cellText(sheet[XLSX.utils.encode_cell({ r, c })]));
+    const used = row.reduce((last, cell, i) => (cell.trim() !== "" ? i + 1 : last), 0);
+    width = Math.max(width, used);
+    rows.push(row);
+  }
+  while (rows.length > 0 && rows[rows.length - 1].every((cell) => cell.trim() === "")) rows.pop();
+  return rows.map((row) => row.slice(0, width));
+};
+
+// Index of the header row: the early row whose cells look most like known column names, preferring
+// rows of text labels over data rows when none do
+export const detectHeaderRow = (rows) => {
+  let best = { index: 0, score: -1 };
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, index) => {
+    const labels = row.filter((cell) => cell.trim() !== "");
+    if (labels.length < 2) return;
+    const fields = Object.values(suggestColumnMapping(labels)).filter(Boolean).length;
+    const textLabels = labels.filter((cell) => /[a-z]/i.test(cell) && !/^\d/.test(cell.trim())).length;
+    const score = fields * 100 + textLabels;
+    if (score > best.score) best = { index, score };
+  });
+  return best.index;
+};
+
+// File -> { name, book, sheets: [{ name, rowCount }], defaultSheet } (defaultSheet: first with data)
+export const readWorkbook = async (file) => {
+  const XLSX = await loadXlsx();
+  const book = XLSX.read(await file.arrayBuffer(), { type: "array", cellNF: true });
+  const sheets = book.SheetNames.map((name) => {
+    const ref = book.Sheets[name]?.["!ref"];
+    return { name, rowCount: ref ? XLSX.utils.decode_range(ref).e.r + 1 : 0 };
+  });
+  const defaultSheet = sheets.find((sheet) => sheet.rowCount > 1)?.name ?? book.SheetNames[0];
+  return { name: file.name, book, sheets, defaultSheet };
+};
+
+// One sheet as an upload -> { file, headerRow }: CSV text under the workbook's name, and the number of
+// rows above the detected header (the import settings' headerRow)
+export const sheetUpload = async (workbook, sheetName) => {
+  const XLSX = await loadXlsx();
+  const rows = sheetRows(XLSX, workbook.book.Sheets[sheetName]);
+  if (rows.length === 0) throw new Error(`Sheet "${sheetName}" is empty.`);
+  const file = new File([Papa.unparse(rows)], workbook.name, { type: "text/csv" });
+  return { file, headerRow: detectHeaderRow(rows) };
+};
@@ -0,0 +1,168 @@
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import SignIn from "../components/SignIn";
+import { useAuthSession } from "../lib/auth";
+import { supabase } from "../lib/supabaseClient";
+import {
+  SEED_ALIASES,
+  deleteManufacturerAlias,
+  fetchStoredAliases,
+  saveManufacturerAliases,
+} from "../lib/manufacturerAliases";
+
+export default function AliasesPage() {
+  const router = useRouter();
+  const session = useAuthSession();
+
+  // ---------- state ----------
+  const [aliases, setAliases] = useState([]);
+  const [alias, setAlias] = useState("");
+  const [canonical, setCanonical] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const refresh = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setAliases(await fetchStoredAliases(supabase));
+    } catch (e) {
+      setError(e.message || "Could not load aliases.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Prefill from a mismatch row on the upload page (/aliases?alias=S%26W&canonical=Smith%20%26%20Wesson)
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (typeof router.query.alias === "string") setAlias(router.query.alias);
+    if (typeof router.query.canonical === "string") setCanonical(router.query.canonical);
+  }, [router.isReady, router.query.alias, router.query.canonical]);
+
+  const addAlias = async (e) => {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+    try {
+      await saveManufacturerAliases(supabase, [{ alias, canonical }]);
+      setNotice(`Saved: ${alias.trim()} → ${canonical.trim()}`);
+      setAlias("");
+      await refresh();
+    } catch (err) {
+      setError(err.message || "Could not save alias.");
+    }
+  };
+
+  const importSeed = async () => {
+    setError("");
+    setNotice("");
+    try {
+      const saved = await saveManufacturerAliases(supabase, SEED_ALIASES);
+      setNotice(`Imported ${saved.length} seed aliases.`);
+      await refresh();
+    } catch (err) {
+      setError(err.message || "Could not import seed aliases.");
+    }
+  };
+
+  const removeAlias = async (id) => {
+    setError("");
+    try {
+      await deleteManufacturerAlias(supabase, id);
+      await refresh();
+    } catch (err) {
+      setError(err.message || "Could not delete alias.");
+    }
+  };
+
+  const canonicalNames = Array.from(new Set([...SEED_ALIASES, ...aliases].map((row) => row.canonical))).sort();
+
+  // ---------- UI ----------
+  return (
+    <main style={{ fontFamily: "sans-serif", padding: "40px", maxWidth: 900 }}>
+      <h1>Manufacturer Aliases</h1>
+      <p style={{ color: "#475467" }}>
+        Map maker variants found in uploads to the manufacturer name used in the catalog. Aliases apply on the next
+        verification run. <Link href="/upload">← Back to Upload Tool</Link>
+      </p>
+      <SignIn session={session} reason="Sign in to add or delete aliases." />
+
+      <form onSubmit={addAlias} style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", margin: "20px 0" }}>
+        <input
+          placeholder="Alias (e.g. S&W)"
+          value={alias}
+          onChange={(e) => setAlias(e.target.value)}
+          style={{ padding: "6px 8px", minWidth: 200 }}
+        />
+        <span>→</span>
+        <input
+          placeholder="Canonical manufacturer"
+          list="canonical-manufacturers"
+          value={canonical}
+          onChange={(e) => setCanonical(e.target.value)}
+          style={{ padding: "6px 8px", minWidth: 260 }}
+        />
+        <datalist id="canonical-manufacturers">
+          {canonicalNames.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+        <button
+          type="submit"
+          disabled={!session || !alias.trim() || !canonical.trim()}
+          style={{ padding: "6px 12px", cursor: "pointer" }}
+        >
+          Add alias
+        </button>
+        <button type="button" onClick={importSeed} disabled={!session} style={{ padding: "6px 12px", cursor: "pointer" }}>
+          Import seed list ({SEED_ALIASES.length})
+        </button>
+      </form>
+
+      {notice && <p style={{ color: "#166534" }}>{notice}</p>}
+      {error && <p style={{ color: "red" }}>{error}</p>}
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: "left", padding: 8, borderBottom: "1px solid #dfe4ec" }}>Alias</th>
+            <th style={{ textAlign: "left", padding: 8, borderBottom: "1px solid #dfe4ec" }}>Canonical</th>
+            <th style={{ padding: 8, borderBottom: "1px solid #dfe4ec" }} />
+          </tr>
+        </thead>
+        <tbody>
+          {aliases.map((row) => (
+            <tr key={row.id}>
+              <td style={{ padding: 8, borderBottom: "1px solid #eef2f8" }}>{row.alias}</td>
+              <td style={{ padding: 8, borderBottom: "1px solid #eef2f8" }}>{row.canonical}</td>
+              <td style={{ padding: 8, borderBottom: "1px solid #eef2f8", textAlign: "right" }}>
+                <button
+                  type="button"
+                  onClick={() => removeAlias(row.id)}
+                  disabled={!session}
+                  style={{ cursor: "pointer" }}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+          {aliases.length === 0 && (
+            <tr>
+              <td colSpan={3} style={{ padding: 12, textAlign: "center", fontStyle: "italic", color: "#666" }}>
+                {loading ? "Loading..." : "No stored aliases yet. The seed list is still applied during verification."}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </main>
+  );
+}
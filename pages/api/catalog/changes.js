@@ -0,0 +1,34 @@
+import { fetchCatalogChanges } from "../../../lib/catalogLookup";
+import { getSupabaseServer, requestUser } from "../../../lib/supabaseServer";
+
+// GET ?since=<updated_at>&afterId=<id of the last row read>
+//   -> { rows, deleted: [{ catalog_id, deleted_at }], hasMore }
+// Signed-in users only (Authorization: Bearer <Supabase access token>): without `since` this pages
+// through the whole catalog, so it must not be open to anyone holding the site's URL.
+// Timestamps as Postgres returns them, e.g. 2026-10-19T08:30:00.123456+00:00
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const since = typeof req.query.since === "string" && req.query.since ? req.query.since : null;
+  const afterId = typeof req.query.afterId === "string" && req.query.afterId ? req.query.afterId : null;
+  // Both end up in a PostgREST filter; ids are numbers or uuids
+  if (since && (!TIMESTAMP_RE.test(since) || Number.isNaN(Date.parse(since)))) {
+    return res.status(400).json({ error: "`since` must be an ISO timestamp" });
+  }
+  if (afterId !== null && (!since || !/^[\w-]+$/.test(afterId))) {
+    return res.status(400).json({ error: "`afterId` must be a catalog id and needs `since`" });
+  }
+
+  try {
+    if (!(await requestUser(req))) return res.status(401).json({ error: "Sign in to sync the catalog cache." });
+    return res.status(200).json(await fetchCatalogChanges(getSupabaseServer(), { since, afterId }));
+  } catch (e) {
+    console.error("Catalog changes failed", e);
+    return res.status(500).json({ error: e.message || "Catalog changes failed." });
+  }
+}
@@ -0,0 +1,53 @@
+import { findCatalogCandidates, fetchManufacturerKeys, readLookupRequest } from "../../../lib/catalogLookup";
+import { loadManufacturerAliases } from "../../../lib/manufacturerAliases";
+import { getSupabaseServer, requestUser } from "../../../lib/supabaseServer";
+
+// POST { upcs: [...], pairs: [{ manufacturer, model }], review }
+//   -> { rows: candidate catalog rows, failedUpcs: UPCs whose lookup batch failed after retries }
+// 400 beyond LOOKUP_LIMITS upcs / pairs, 413 when the lookup matches more than LOOKUP_LIMITS.rows rows.
+// Signed-in users only (Authorization: Bearer <Supabase access token>), like /api/catalog/changes: the
+// fuzzy manufacturer / model search would otherwise let anyone page through the catalog.
+export const config = { api: { bodyParser: { sizeLimit: "4mb" } } };
+
+// Distinct manufacturer keys change only when the catalog is reloaded; reuse them for a few minutes
+const KEYS_TTL_MS = 5 * 60 * 1000;
+let manufacturerKeysCache = { at: 0, keys: null };
+
+const cachedManufacturerKeys = async (supabaseServer) => {
+  if (!manufacturerKeysCache.keys || Date.now() - manufacturerKeysCache.at > KEYS_TTL_MS) {
+    manufacturerKeysCache = { at: Date.now(), keys: await fetchManufacturerKeys(supabaseServer) };
+  }
+  return manufacturerKeysCache.keys;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let request;
+  try {
+    request = readLookupRequest(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    if (!(await requestUser(req))) return res.status(401).json({ error: "Sign in to verify against the catalog." });
+    const supabaseServer = getSupabaseServer();
+    const [manufacturerAliases, manufacturerKeys] = await Promise.all([
+      loadManufacturerAliases(supabaseServer),
+      cachedManufacturerKeys(supabaseServer),
+    ]);
+    const { rows, failedUpcs } = await findCatalogCandidates(supabaseServer, request, {
+      manufacturerAliases,
+      manufacturerKeys,
+    });
+    return res.status(200).json({ rows, failedUpcs });
+  } catch (e) {
+    if (e.status === 413) return res.status(413).json({ error: e.message });
+    console.error("Catalog lookup failed", e);
+    return res.status(500).json({ error: e.message || "Catalog lookup failed." });
+  }
+}
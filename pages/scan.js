@@ -0,0 +1,378 @@
+import { useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import ResultsGrid from "../components/ResultsGrid";
+import SignIn from "../components/SignIn";
+import { useAuthSession } from "../lib/auth";
+import { supabase } from "../lib/supabaseClient";
+import { createScanListener } from "../lib/barcodeScanner";
+import { CACHE_PREFERENCE_KEY, isCatalogCacheSupported } from "../lib/catalogCache";
+import { saveCSV } from "../lib/csvExport";
+import { CORE_FIELDS, FIELD_LABELS } from "../lib/fields";
+import { describeGtinProblem, parseGtin } from "../lib/gtin";
+import { loadManufacturerAliases } from "../lib/manufacturerAliases";
+import { saveResultsWorkbook } from "../lib/resultsWorkbook";
+import {
+  DEFAULT_THRESHOLDS,
+  MATCH_SOURCE,
+  STATUS_GROUPS,
+  compactResult,
+  statusGroup,
+  statusLabel,
+  toExportRow,
+} from "../lib/verifyEngine";
+import { openVerifier } from "../lib/verifyRunner";
+
+// Scanned items survive a page reload until the session is cleared
+const SESSION_STORAGE_KEY = "ffl-verifier:scan-session";
+
+const FORM_FIELDS = [...CORE_FIELDS, "serial"];
+const EMPTY_FORM = Object.fromEntries(FORM_FIELDS.map((key) => [key, ""]));
+
+const SESSION_HEADERS = ["Status", "Confidence", "UPC", ...FORM_FIELDS.map((key) => FIELD_LABELS[key])];
+
+// Counter mode: scan one firearm's UPC, check it against the catalog record, confirm or type what is
+// marked on the gun, and verify it into a session list exported like the bulk results
+export default function ScanPage() {
+  // ---------- state ----------
+  const authSession = useAuthSession();
+  const [scanInput, setScanInput] = useState("");
+  const [scan, setScan] = useState(null); // { code, problem, record, recordCount, loading }
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [session, setSession] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+  const [sessionUnsaved, setSessionUnsaved] = useState(false);
+  const [useCache, setUseCache] = useState(false);
+  const aliasesRef = useRef(null);
+  const verifierRef = useRef(null); // { verifier, useCache }
+  const lookupIdRef = useRef(0);
+  const scanInputRef = useRef(null);
+  const scanHandlerRef = useRef(null);
+
+  useEffect(() => {
+    if (isCatalogCacheSupported()) setUseCache(localStorage.getItem(CACHE_PREFERENCE_KEY) === "1");
+    try {
+      setSession(JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || []);
+    } catch {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  }, []);
+
+  // Saved compacted; when the browser's storage quota is full the session lives on in memory only
+  const storeSession = (items) => {
+    setSession(items);
+    try {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(items.map(compactResult)));
+      setSessionUnsaved(false);
+    } catch {
+      setSessionUnsaved(true);
+    }
+  };
+
+  // Scans land here wherever the focus is, unless the clerk is typing in a field
+  useEffect(() => {
+    const listener = createScanListener((code) => scanHandlerRef.current(code));
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+
+  // Same options as an upload run with the default settings; aliases are loaded once per visit
+  const verifyOptions = async () => {
+    if (!aliasesRef.current) aliasesRef.current = await loadManufacturerAliases(supabase);
+    return { thresholds: DEFAULT_THRESHOLDS, optionalFields: [], manufacturerAliases: aliasesRef.current };
+  };
+
+  // One verifier for the visit, so lookups (or the cache sync and index) are not repeated per scan;
+  // reopened when it failed or the cache setting changed
+  const verifyRow = async (row) => {
+    const options = await verifyOptions();
+    const current = verifierRef.current;
+    if (!current || current.useCache !== useCache || !current.verifier.isOpen()) {
+      current?.verifier.close();
+      const verifier = openVerifier(options, { useCache, accessToken: authSession?.access_token });
+      verifierRef.current = { verifier, useCache };
+    }
+    return verifierRef.current.verifier.verify(row);
+  };
+
+  useEffect(() => () => verifierRef.current?.verifier.close(), []);
+
+  // ---------- scan lookup ----------
+  // A bare UPC goes through the same UPC lookup as an upload row; its UPC candidates are the catalog
+  // records for that code, closest first
+  const lookupScan = async (raw) => {
+    const parsed = parseGtin(raw);
+    if (!parsed.digits) return;
+    const lookupId = ++lookupIdRef.current;
+    setScanInput("");
+    setForm(EMPTY_FORM);
+    setNotice("");
+    setError("");
+    setScan({ code: parsed.digits, problem: describeGtinProblem(parsed), record: null, recordCount: 0, loading: true });
+    if (!parsed.valid) {
+      setScan((prev) => ({ ...prev, loading: false }));
+      return;
+    }
+
+    try {
+      const result = await verifyRow({ UPC: parsed.digits });
+      if (lookupId !== lookupIdRef.current) return;
+      const records = (result?.candidates || []).filter((candidate) => candidate.source === MATCH_SOURCE.UPC);
+      setScan((prev) => ({ ...prev, record: records[0]?.record ?? null, recordCount: records.length, loading: false }));
+    } catch (e) {
+      if (lookupId !== lookupIdRef.current) return;
+      setScan((prev) => ({ ...prev, loading: false }));
+      setError(e.message || "Catalog lookup failed.");
+    }
+  };
+  scanHandlerRef.current = lookupScan;
+
+  const submitScan = (e) => {
+    e.preventDefault();
+    lookupScan(scanInput);
+  };
+
+  // ---------- item form ----------
+  const catalogValue = (key) => String(scan?.record?.[key] ?? "").trim();
+
+  const updateField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  // The clerk has checked every marking against the catalog record
+  const confirmCatalog = () =>
+    setForm((prev) => ({ ...prev, ...Object.fromEntries(CORE_FIELDS.map((key) => [key, catalogValue(key)])) }));
+
+  const resetScan = () => {
+    lookupIdRef.current++;
+    setScan(null);
+    setForm(EMPTY_FORM);
+    scanInputRef.current?.focus();
+  };
+
+  const addItem = async (e) => {
+    e.preventDefault();
+    if (!scan || scan.loading) return;
+    setAdding(true);
+    setError("");
+    try {
+      const row = { UPC: scan.code };
+      FORM_FIELDS.forEach((key) => {
+        if (form[key].trim()) row[FIELD_LABELS[key]] = form[key].trim();
+      });
+      const result = await verifyRow(row);
+      storeSession([...session, { ...result, index: session.length }]);
+      setNotice(`Added ${scan.code}: ${statusLabel(result)}`);
+      resetScan();
+    } catch (err) {
+      setError(err.message || "Verification failed.");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  // ---------- session ----------
+  const removeLastItem = () => storeSession(session.slice(0, -1));
+
+  const clearSession = () => {
+    if (!window.confirm(`Clear all ${session.length} scanned items?`)) return;
+    storeSession([]);
+    setNotice("");
+  };
+
+  const downloadCSV = () => {
+    if (session.length === 0) return;
+    saveCSV(session.map(toExportRow), "ffl-verifier-scan-session.csv");
+  };
+
+  const downloadWorkbook = async () => {
+    if (session.length === 0) return;
+    try {
+      await saveResultsWorkbook(session, "ffl-verifier-scan-session.xlsx");
+    } catch (e) {
+      setError(e.message || "Could not write the Excel file.");
+    }
+  };
+
+  const counts = Object.fromEntries(
+    STATUS_GROUPS.map((group) => [group, session.filter((item) => statusGroup(item.status) === group).length])
+  );
+
+  // ---------- UI ----------
+  return (
+    <main style={{ fontFamily: "sans-serif", padding: "40px" }}>
+      <h1>FFL Verifier — Counter Scan</h1>
+      <p style={{ marginTop: -8, fontSize: 14, color: "#475467" }}>
+        Scan a UPC with the barcode scanner (or type it and press Enter), check the markings on the firearm against
+        the catalog record, then add it to the session. <Link href="/upload">← Back to Upload Tool</Link>
+      </p>
+
+      <form onSubmit={submitScan} style={{ display: "flex", gap: 8, alignItems: "center", margin: "20px 0" }}>
+        <input
+          ref={scanInputRef}
+          autoFocus
+          inputMode="numeric"
+          placeholder="Scan or type a UPC"
+          value={scanInput}
+          onChange={(e) => setScanInput(e.target.value)}
+          style={{ padding: "8px 10px", fontSize: 18, width: 260 }}
+        />
+        <button type="submit" disabled={!scanInput.trim()} style={{ padding: "8px 14px", cursor: "pointer" }}>
+          Look up
+        </button>
+        {useCache && <span style={{ fontSize: 13, color: "#475467" }}>Using the local catalog cache</span>}
+      </form>
+
+      <SignIn
+        session={authSession}
+        reason={useCache ? "Sign in to sync the local catalog cache." : "Sign in to look up scans in the catalog."}
+      />
+
+      {error && <p style={{ color: "red" }}>{error}</p>}
+      {notice && <p style={{ fontSize: 14 }}>{notice}</p>}
+      {sessionUnsaved && (
+        <p style={{ color: "#b42318", fontSize: 14 }}>
+          The browser’s storage is full, so this session will not survive a reload. Download it before leaving
+          the page.
+        </p>
+      )}
+
+      {scan && (
+        <form onSubmit={addItem} className="scan-item">
+          <div className="scan-heading">
+            <strong>UPC {scan.code}</strong>
+            {scan.loading && <span> — looking up...</span>}
+            {scan.problem && <span className="scan-warning"> — {scan.problem}</span>}
+            {!scan.loading && !scan.problem && !scan.record && (
+              <span className="scan-warning"> — not in the catalog; enter the markings to record it</span>
+            )}
+            {scan.recordCount > 1 && (
+              <span className="scan-note"> — {scan.recordCount} catalog records share this UPC; showing the first</span>
+            )}
+          </div>
+
+          <table>
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Catalog</th>
+                <th>On the firearm</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {FORM_FIELDS.map((key) => (
+                <tr key={key}>
+                  <td>{FIELD_LABELS[key]}</td>
+                  <td>{catalogValue(key) || "—"}</td>
+                  <td>
+                    <input value={form[key]} onChange={(e) => updateField(key, e.target.value)} />
+                  </td>
+                  <td>
+                    {catalogValue(key) && (
+                      <button type="button" onClick={() => updateField(key, catalogValue(key))}>
+                        Same as catalog
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="scan-actions">
+            <button type="button" onClick={confirmCatalog} disabled={!scan.record}>
+              ✓ All markings match the catalog
+            </button>
+            <button type="submit" disabled={scan.loading || adding}>
+              {adding ? "Verifying..." : "Add to session"}
+            </button>
+            <button type="button" onClick={resetScan}>
+              Discard scan
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ marginTop: 24 }}>
+        <h3>
+          Session ({session.length} items
+          {session.length > 0 && `: ${STATUS_GROUPS.map((group) => `${group} ${counts[group]}`).join(", ")}`})
+        </h3>
+        <div style={{ display: "flex", gap: 8, margin: "8px 0 12px 0" }}>
+          <button onClick={downloadCSV} disabled={session.length === 0} style={{ padding: "6px 12px", cursor: "pointer" }}>
+            ⬇️ Download Session CSV
+          </button>
+          <button
+            onClick={downloadWorkbook}
+            disabled={session.length === 0}
+            style={{ padding: "6px 12px", cursor: "pointer" }}
+          >
+            ⬇️ Download Session Excel
+          </button>
+          <button
+            onClick={removeLastItem}
+            disabled={session.length === 0}
+            style={{ padding: "6px 12px", cursor: "pointer" }}
+          >
+            Remove last item
+          </button>
+          <button onClick={clearSession} disabled={session.length === 0} style={{ padding: "6px 12px", cursor: "pointer" }}>
+            Clear session
+          </button>
+        </div>
+        <ResultsGrid results={session} headers={SESSION_HEADERS} emptyMessage="No items scanned yet." />
+      </div>
+
+      <style jsx>{`
+        .scan-item {
+          max-width: 760px;
+          padding: 12px 16px;
+          border: 1px solid #d0d7e2;
+          border-radius: 6px;
+          background: #f8fafc;
+        }
+
+        .scan-heading {
+          margin-bottom: 10px;
+        }
+
+        .scan-warning {
+          color: #aa5b00;
+        }
+
+        .scan-note {
+          color: #475467;
+          font-size: 13px;
+        }
+
+        table {
+          border-collapse: collapse;
+          font-size: 14px;
+        }
+
+        th,
+        td {
+          padding: 4px 10px;
+          text-align: left;
+          border-bottom: 1px solid #e4e9f1;
+        }
+
+        td input {
+          padding: 4px 6px;
+          width: 220px;
+        }
+
+        .scan-actions {
+          display: flex;
+          gap: 8px;
+          margin-top: 12px;
+        }
+
+        button {
+          padding: 4px 10px;
+          cursor: pointer;
+        }
+      `}</style>
+    </main>
+  );
+}
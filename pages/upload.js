@@ -1,562 +1,523 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
+import Link from "next/link";
 import Papa from "papaparse";
+import ColumnMapper from "../components/ColumnMapper";
+import ImportProfiles from "../components/ImportProfiles";
+import InputProblems from "../components/InputProblems";
+import ResultsGrid from "../components/ResultsGrid";
+import SignIn from "../components/SignIn";
+import SourceBreakdown from "../components/SourceBreakdown";
+import UploadSources from "../components/UploadSources";
 import { supabase } from "../lib/supabaseClient";
+import { useAuthSession } from "../lib/auth";
+import { CACHE_PREFERENCE_KEY, isCatalogCacheSupported, readCacheStatus, syncCatalogCache } from "../lib/catalogCache";
+import { suggestColumnMapping } from "../lib/columnMapping";
+import { saveCSV } from "../lib/csvExport";
+import { FIELD_LABELS, OPTIONAL_FIELDS } from "../lib/fields";
+import { SHEET_FORMAT, readableUpload, sniffFileFormat } from "../lib/fileFormat";
+import {
+  DEFAULT_IMPORT_SETTINGS,
+  deleteImportProfile,
+  detectImportProfile,
+  fetchImportProfiles,
+  mappingForHeaders,
+  profileSettings,
+  saveImportProfile,
+} from "../lib/importProfiles";
+import { loadManufacturerAliases } from "../lib/manufacturerAliases";
+import { pastedUpload } from "../lib/pastedRows";
+import { saveResultsWorkbook } from "../lib/resultsWorkbook";
+import {
+  STREAM_FILE_BYTES,
+  isMalformedRow,
+  parseConfigFor,
+  previewUpload,
+  readParsedUpload,
+  streamUploadRows,
+  tagRowSource,
+} from "../lib/uploadParse";
+import {
+  DEFAULT_THRESHOLDS,
+  ORIGIN_COLUMNS,
+  PROGRESS_PHASE,
+  STATUS_GROUPS,
+  statusGroup,
+  summarizeBySource,
+  toExportRow,
+} from "../lib/verifyEngine";
+import { startStreamingVerification, startVerification } from "../lib/verifyRunner";
+import { UPLOAD_ACCEPT, isWorkbookFile, readWorkbook, sheetUpload } from "../lib/workbookParse";
+
+// Per-file upload state: the picked file (or workbook sheet, or pasted rows), how it is read and mapped, and its rows
+const newSource = (id, file, settings) => ({
+  id,
+  name: file.name,
+  location: "",
+  workbook: null,
+  pasted: false,
+  sheetName: "",
+  sourceFile: null, // the file as picked, or the chosen workbook sheet or pasted rows as CSV
+  format: null, // sniffed encoding and delimiter
+  uploadFile: null, // what the parser reads (see readableUpload)
+  readSettings: null,
+  streaming: false,
+  settings, // import settings; "" delimiter / encoding = detected
+  profileId: null,
+  detected: null,
+  headers: [],
+  suggestions: {},
+  mapping: null,
+  previewRows: [],
+  rows: [],
+  summary: null,
+  parseId: 0,
+});
+
+// Workbook sheets and pasted rows are read as comma-separated UTF-8 text, whatever the profile says for
+// CSV files
+const isWrittenCsv = (source) => Boolean(source.workbook || source.pasted);
+
+const sheetSettings = (settings) => ({ ...settings, delimiter: "", encoding: "" });
+
+const sourceLabel = (source) => (source.sheetName ? `${source.name} (${source.sheetName})` : source.name);
+
+// How often streamed result batches are copied into the results table
+const RESULTS_FLUSH_MS = 300;
 
 export default function UploadPage() {
   // ---------- state ----------
-  const [rows, setRows] = useState([]);
+  const session = useAuthSession();
+  const [sources, setSources] = useState([]);
+  const [activeSourceId, setActiveSourceId] = useState(null);
+  const sourceIdRef = useRef(0);
+  const [rowsRead, setRowsRead] = useState(null);
+  const [readingSource, setReadingSource] = useState("");
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [profileNotice, setProfileNotice] = useState("");
+  const [pasteText, setPasteText] = useState("");
+  const [pasteNotice, setPasteNotice] = useState("");
+  const parseIdRef = useRef(0);
   const [results, setResults] = useState([]);
+  const resultsRef = useRef([]); // results of the current run, ahead of `results` until the next flush
+  const flushTimerRef = useRef(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [debugInfo, setDebugInfo] = useState(null);
-  const [activeStatusFilters, setActiveStatusFilters] = useState(["VERIFIED", "NOT VERIFIED", "UNKNOWN"]);
+  const [includeMalformed, setIncludeMalformed] = useState(true);
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [optionalFields, setOptionalFields] = useState([]);
+  const [activeStatusFilters, setActiveStatusFilters] = useState(STATUS_GROUPS);
+  const [hiddenSources, setHiddenSources] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  const runRef = useRef(null);
+  const [useCache, setUseCache] = useState(false);
+  const [cacheStatus, setCacheStatus] = useState(null);
+  const [refreshingCache, setRefreshingCache] = useState(false);
+  const [cacheSupported, setCacheSupported] = useState(false);
+
+  const active = sources.find((source) => source.id === activeSourceId) || null;
+  const sourcesReady =
+    sources.length > 0 && sources.every((source) => source.mapping && (source.streaming || source.summary));
+  const totalRows = sources.reduce((sum, source) => sum + source.rows.length, 0);
+  const activeSummary = active?.summary ?? null;
+  // The lookup route needs a signed-in user; signed out, only an already cached catalog can be used
+  const canVerify = Boolean(session) || (useCache && Boolean(cacheStatus));
+
+  useEffect(() => {
+    if (!isCatalogCacheSupported()) return;
+    setCacheSupported(true);
+    setUseCache(localStorage.getItem(CACHE_PREFERENCE_KEY) === "1");
+    readCacheStatus()
+      .then(setCacheStatus)
+      .catch(() => setCacheStatus(null));
+  }, []);
+
+  useEffect(() => {
+    fetchImportProfiles(supabase)
+      .then(setImportProfiles)
+      .catch((e) => setProfileNotice(`Import profiles unavailable: ${e.message || "could not load them"}`));
+  }, []);
 
-  // ---------- helpers ----------
-  const norm = (s) => (s || "").toString().toUpperCase().replace(/[^A-Z0-9]/g, "");
-  const normDigits = (s) => (s || "").toString().replace(/\D/g, ""); // digits only
-  const strip0 = (s) => (s || "").replace(/^0+/, "");
+  // ---------- file parse ----------
+  const updateSource = (id, changes) =>
+    setSources((prev) => prev.map((source) => (source.id === id ? { ...source, ...changes } : source)));
 
-  const normModel = (s) => {
-    const base = norm(s);
-    if (!base) return "";
-    return base.replace(/^(MODEL|MOD|MDL)/, "");
+  // Re-run whenever the column mapping or import settings change; only the latest parse is kept
+  const parseSource = (id, file, mapping, settings) => {
+    const parseId = ++parseIdRef.current;
+    updateSource(id, { parseId, rows: [], summary: null });
+    Papa.parse(file, {
+      ...parseConfigFor(settings),
+      complete: (res) => {
+        const { rows, summary } = readParsedUpload(res, { mapping, ...settings });
+        setSources((prev) =>
+          prev.map((source) => (source.id === id && source.parseId === parseId ? { ...source, rows, summary } : source))
+        );
+      },
+      error: (err) => setError(err.message),
+    });
   };
 
-  const normManufacturer = (s) => {
-    let base = norm(s);
-    if (!base) return "";
-    let trimmed = base;
-    const suffixes = ["LLC", "INC", "LTD", "CORP", "CORPORATION", "LLP", "PLC", "LP"];
-    let updated = true;
-    while (updated) {
-      updated = false;
-      for (const suffix of suffixes) {
-        if (trimmed.endsWith(suffix) && trimmed.length > suffix.length + 2) {
-          trimmed = trimmed.slice(0, -suffix.length);
-          updated = true;
-          break;
-        }
-      }
+  // The header row and first rows drive the column mapping; `baseMapping` (a profile's or the
+  // current one) is kept where the file has those columns. The file is read with the import
+  // settings, blanks filled from its sniffed `format`. Large files are streamed, i.e. parsed chunk
+  // by chunk while verification runs
+  const loadSource = async (id, file, format, settings, baseMapping, streaming, preview = null) => {
+    updateSource(id, { parseId: ++parseIdRef.current, rows: [], summary: null, settings, streaming });
+    try {
+      const read = await readableUpload(file, settings, format);
+      const { headers, rows: firstRows } = preview || (await previewUpload(read.file, read.settings));
+      const suggestions = suggestColumnMapping(headers);
+      const mapping = mappingForHeaders(baseMapping, headers, suggestions);
+      updateSource(id, {
+        uploadFile: read.file,
+        readSettings: read.settings,
+        headers,
+        suggestions,
+        previewRows: firstRows,
+        mapping,
+      });
+      if (!streaming) parseSource(id, read.file, mapping, read.settings);
+    } catch (err) {
+      setError(err.message || "Could not read the file.");
     }
-    return trimmed;
   };
 
-  const normType = (s) => {
-    const base = norm(s);
-    if (!base) return "";
-    return base.replace(/(FIREARM|FIREARMS|WEAPON|WEAPONS)/g, "");
+  // A saved profile whose headers match the file is applied; otherwise `defaults` ({ settings,
+  // profileId }) are, with the detected header row for a sheet or pasted rows (`sheetHeaderRow`)
+  const openSource = async (id, file, defaults, sheetHeaderRow = null) => {
+    const fromSheet = sheetHeaderRow !== null;
+    const streaming = file.size >= STREAM_FILE_BYTES;
+    updateSource(id, { sourceFile: file, format: null, uploadFile: null, streaming, mapping: null, detected: null });
+    const candidates = fromSheet
+      ? importProfiles.map((profile) => ({ ...profile, ...sheetSettings(profileSettings(profile)) }))
+      : importProfiles;
+    const format = fromSheet ? SHEET_FORMAT : await sniffFileFormat(file).catch(() => null);
+    updateSource(id, { format });
+    const match = candidates.length ? await detectImportProfile(file, candidates, format) : null;
+    if (match) {
+      const { profile, score } = match;
+      updateSource(id, { profileId: profile.id, detected: { profileId: profile.id, score } });
+      await loadSource(id, file, format, profileSettings(profile), profile.mapping, streaming, match.preview);
+    } else {
+      const selected = importProfiles.find((profile) => profile.id === defaults.profileId);
+      const settings = fromSheet
+        ? { ...sheetSettings(defaults.settings), headerRow: sheetHeaderRow }
+        : defaults.settings;
+      updateSource(id, { profileId: selected ? selected.id : null });
+      await loadSource(id, file, format, settings, selected?.mapping, streaming);
+    }
   };
 
-  const normCaliber = (s) => {
-    const base = norm(s);
-    if (!base) return "";
-    const trimmedLeadingZero = base.replace(/^0+([0-9])/, "$1");
-    const withoutCalTokens = trimmedLeadingZero
-      .replace(/^(CALIBER|CAL)/, "")
-      .replace(/(CALIBER|CAL)$/, "");
-    return withoutCalTokens;
+  const openSheet = async (id, book, name, defaults) => {
+    updateSource(id, { sheetName: name });
+    try {
+      const sheet = await sheetUpload(book, name);
+      await openSource(id, sheet.file, defaults, sheet.headerRow);
+    } catch (err) {
+      updateSource(id, { sourceFile: null, uploadFile: null, mapping: null });
+      setError(err.message || "Could not read the sheet.");
+    }
   };
 
-  const hasValue = (v) => String(v ?? "").trim() !== "";
-
-  const comparatorFactory = (normalizer, { allowContain = false } = {}) => {
-    return (a, b) => {
-      const na = normalizer(a);
-      const nb = normalizer(b);
-      if (!na || !nb) return na === nb;
-      if (na === nb) return true;
-      if (!allowContain) return false;
-      if (na.length < 3 || nb.length < 3) return false;
-      return na.includes(nb) || nb.includes(na);
-    };
+  // Each file is added as a source, set up like the active one unless a saved profile matches it.
+  // Excel workbooks open their first sheet with data; the sheet can be changed in the file list
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ""; // so the same file can be added again
+    if (files.length === 0) return;
+    setError("");
+    const defaults = { settings: active?.settings ?? DEFAULT_IMPORT_SETTINGS, profileId: active?.profileId ?? null };
+    const added = files.map((file) => newSource(++sourceIdRef.current, file, defaults.settings));
+    setSources((prev) => [...prev, ...added]);
+    setActiveSourceId(added[0].id);
+    for (const [i, file] of files.entries()) {
+      const { id } = added[i];
+      if (!isWorkbookFile(file)) {
+        await openSource(id, file, defaults);
+        continue;
+      }
+      try {
+        const book = await readWorkbook(file);
+        updateSource(id, { workbook: book });
+        await openSheet(id, book, book.defaultSheet, defaults);
+      } catch (err) {
+        setError(err.message || "Could not read the workbook.");
+      }
+    }
   };
 
-  const FIELD_COMPARATORS = {
-    manufacturer: comparatorFactory(normManufacturer),
-    model: comparatorFactory(normModel, { allowContain: true }),
-    type: comparatorFactory(normType, { allowContain: true }),
-    caliber: comparatorFactory(normCaliber, { allowContain: true }),
-    importer: comparatorFactory(norm),
-    country: comparatorFactory(norm),
+  // Pasted rows are added as a source of their own, named "Pasted rows N"
+  const addPastedRows = async () => {
+    setError("");
+    setPasteNotice("");
+    const pasted = pastedUpload(pasteText, `Pasted rows ${sources.filter((source) => source.pasted).length + 1}`);
+    if (!pasted) {
+      setPasteNotice("No rows found in the pasted text.");
+      return;
+    }
+    const id = ++sourceIdRef.current;
+    const defaults = { settings: active?.settings ?? DEFAULT_IMPORT_SETTINGS, profileId: active?.profileId ?? null };
+    setSources((prev) => [...prev, { ...newSource(id, pasted.file, defaults.settings), pasted: true }]);
+    setActiveSourceId(id);
+    setPasteText("");
+    setPasteNotice(
+      pasted.hasHeaders
+        ? `Added ${pasted.rowCount} pasted rows.`
+        : `Added ${pasted.rowCount} pasted rows. No header row was found, so the columns are numbered; map them below.`
+    );
+    await openSource(id, pasted.file, defaults, 0);
   };
 
-  // Pull the first non-empty value from possible header aliases
-  const pickField = (row, names) => {
-    for (const n of names) {
-      const key = n;
-      const candidates = [key, key?.toLowerCase?.(), key?.toUpperCase?.()].filter(Boolean);
-      for (const candidate of candidates) {
-        const value = row[candidate];
-        if (value !== undefined && value !== null && String(value).trim() !== "") {
-          return { value, key: candidate };
-        }
-      }
-    }
-    return { value: "", key: null };
+  const removeSource = (id) => {
+    const remaining = sources.filter((source) => source.id !== id);
+    setSources(remaining);
+    if (id === activeSourceId) setActiveSourceId(remaining[0]?.id ?? null);
   };
 
-  const firstVal = (row, names) => pickField(row, names).value;
+  const changeSheet = (id, name) => {
+    const source = sources.find((item) => item.id === id);
+    openSheet(id, source.workbook, name, { settings: source.settings, profileId: source.profileId });
+  };
 
-  // Accepted header aliases (canonical names listed first)
-  const ALIAS = {
-    upc: ["UPC", "upc", "Upc", "EAN", "ean", "Barcode", "barcode"],
+  const toggleStreamUpload = (id) => {
+    const source = sources.find((item) => item.id === id);
+    const streaming = !source.streaming;
+    updateSource(id, { streaming, parseId: ++parseIdRef.current, rows: [], summary: null });
+    if (!streaming && source.uploadFile && source.mapping) {
+      parseSource(id, source.uploadFile, source.mapping, source.readSettings);
+    }
+  };
 
-    // ATF core fields
-    manufacturer: ["Manufacturer", "manufacturer", "MFR", "mfr", "Brand", "brand", "Maker", "maker"],
-    model: ["Model", "model"],
-    type: ["Type", "type", "Category", "category"],
-    caliber: ["Caliber", "caliber", "Cal", "cal"],
+  const changeColumnMapping = (mapping) => {
+    updateSource(active.id, { mapping });
+    if (!active.streaming && active.uploadFile) parseSource(active.id, active.uploadFile, mapping, active.readSettings);
+  };
 
-    // ATF optional fields
-    importer: ["Importer", "importer"],
-    country: ["Country of Manufacture", "Country", "country", "CountryOfManufacture"],
+  const selectImportProfile = (id) => {
+    const profile = importProfiles.find((item) => item.id === id);
+    updateSource(active.id, { profileId: profile ? profile.id : null });
+    if (!profile || !active.sourceFile) return;
+    const settings = isWrittenCsv(active) ? sheetSettings(profileSettings(profile)) : profileSettings(profile);
+    loadSource(active.id, active.sourceFile, active.format, settings, profile.mapping, active.streaming);
   };
 
-  const META_KEY = "__meta";
+  // Delimiter, encoding and header offset change the columns, so the file is previewed again;
+  // clean-ups only need a re-parse
+  const changeImportSettings = (settings) => {
+    updateSource(active.id, { settings });
+    if (!active.sourceFile || !active.uploadFile || !active.mapping) return;
+    const rereadHeaders = ["delimiter", "encoding", "headerRow"].some((key) => settings[key] !== active.settings[key]);
+    if (rereadHeaders) {
+      // Columns that are still there keep their field; the rest of the fields take the new suggestions
+      const kept = Object.fromEntries(Object.entries(active.mapping).filter(([, header]) => header));
+      loadSource(active.id, active.sourceFile, active.format, settings, kept, active.streaming);
+      return;
+    }
+    const readSettings = { ...active.readSettings, transforms: settings.transforms };
+    updateSource(active.id, { readSettings });
+    if (!active.streaming) parseSource(active.id, active.uploadFile, active.mapping, readSettings);
+  };
 
-  // ---------- file parse ----------
-  const handleFile = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      transformHeader: (h) => h.trim(), // avoid "UPC " vs "UPC"
-      complete: (res) => setRows(res.data || []),
-      error: (err) => setError(err.message),
-    });
+  const saveCurrentProfile = async (name) => {
+    setProfileNotice("");
+    try {
+      const saved = await saveImportProfile(supabase, {
+        name,
+        mapping: active.mapping,
+        headers: active.headers,
+        ...active.settings,
+      });
+      setImportProfiles((prev) =>
+        [...prev.filter((profile) => profile.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      updateSource(active.id, { profileId: saved.id });
+      setProfileNotice(`Saved import profile "${saved.name}".`);
+    } catch (e) {
+      setProfileNotice(e.message || "Could not save the import profile.");
+    }
+  };
+
+  const removeProfile = async (id) => {
+    setProfileNotice("");
+    try {
+      await deleteImportProfile(supabase, id);
+      setImportProfiles((prev) => prev.filter((profile) => profile.id !== id));
+      setSources((prev) =>
+        prev.map((source) => (source.profileId === id ? { ...source, profileId: null, detected: null } : source))
+      );
+    } catch (e) {
+      setProfileNotice(e.message || "Could not delete the import profile.");
+    }
   };
 
   // ---------- verify (UPC-first; if no UPC then ATF fields only) ----------
+  // Result batches collect in a ref and reach the table a few times a second; copying and re-rendering
+  // the whole list for every batch would be quadratic on large uploads
+  const flushResults = () => {
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+    setResults(resultsRef.current.slice());
+  };
+
+  const appendResults = (batch) => {
+    for (const result of batch) resultsRef.current.push(result);
+    if (!flushTimerRef.current) flushTimerRef.current = setTimeout(flushResults, RESULTS_FLUSH_MS);
+  };
+
+  useEffect(() => () => clearTimeout(flushTimerRef.current), []);
+
+  // Runs in a Web Worker; results stream into the table batch by batch. Several files are verified
+  // in one run, one after the other, with their rows tagged by source
   const verifyData = async () => {
     setLoading(true);
     setError("");
     setDebugInfo(null);
+    resultsRef.current = [];
+    flushResults();
+    setHiddenSources([]);
+    setProgress(null);
+    setCancelled(false);
+    setRowsRead(null);
 
     try {
-      // Collect UPCs to fetch; detect if any rows lack UPC (to enable ATF-only path)
-      const upcKeys = new Set();
-      const previewUploadUPCs = [];
-
-      for (const r of rows) {
-        const raw = firstVal(r, ALIAS.upc);
-        const d = normDigits(raw);
-        if (d) {
-          upcKeys.add(d);
-          if (previewUploadUPCs.length < 10) {
-            previewUploadUPCs.push({ raw, digits: d, strict: strip0(d) });
-          }
-        }
-      }
-
-      // ---- 1) Fetch only UPCs we need (fast path)
-      const selectColumns = "id, upc, manufacturer, model, type, caliber, importer, country";
-      let catalogUpc = [];
-      if (upcKeys.size > 0) {
-        const { data, error: upcErr } = await supabase
-          .from("catalog")
-          .select(selectColumns)
-          .in("upc", Array.from(upcKeys))
-          .limit(10000);
-        if (upcErr) throw upcErr;
-        catalogUpc = data || [];
-      }
-
-      // Build maps from UPC subset
-      const upcMap = new Map(); // UPC digits -> array of catalog rows (handle duplicates)
-
-      const previewCatalogUPCs = [];
-      for (const cRow of catalogUpc) {
-        const d = normDigits(cRow?.upc ?? "");
-        if (!d) continue;
-
-        if (!upcMap.has(d)) upcMap.set(d, []);
-        upcMap.get(d).push(cRow);
-
-        if (previewCatalogUPCs.length < 10) {
-          previewCatalogUPCs.push({ raw: cRow.upc ?? "", digits: d, strict: strip0(d) });
-        }
-      }
-
-      const atfCandidateMap = new Map();
-      const atfManufacturerModelMap = new Map();
-      const pageSize = 1000;
-      let from = 0;
-      while (true) {
-        const { data: pageData, error: pageErr } = await supabase
-          .from("catalog")
-          .select(selectColumns)
-          .range(from, from + pageSize - 1);
-        if (pageErr) throw pageErr;
-        if (!pageData || pageData.length === 0) break;
-        for (const row of pageData) {
-          const normalizedManufacturer = normManufacturer(row?.manufacturer);
-          const normalizedModel = normModel(row?.model);
-          const normalizedType = normType(row?.type);
-          const normalizedCaliber = normCaliber(row?.caliber);
-          if (!normalizedManufacturer || !normalizedModel || !normalizedType || !normalizedCaliber) continue;
-          const key = `${normalizedManufacturer}::${normalizedModel}::${normalizedType}::${normalizedCaliber}`;
-          if (!atfCandidateMap.has(key)) atfCandidateMap.set(key, []);
-          atfCandidateMap.get(key).push(row);
-
-          const manufacturerModelKey = `${normalizedManufacturer}::${normalizedModel}`;
-          if (!atfManufacturerModelMap.has(manufacturerModelKey)) atfManufacturerModelMap.set(manufacturerModelKey, []);
-          atfManufacturerModelMap.get(manufacturerModelKey).push(row);
-        }
-        if (pageData.length < pageSize) break;
-        from += pageSize;
-      }
-
-      // ---------- scoring to pick best candidate when duplicates exist ----------
-      const normalizeCell = (val) => (val === undefined || val === null ? "" : String(val).trim());
-
-      // ---------- verify each upload row ----------
-      const checked = rows.map((r) => {
-        const upcPick = pickField(r, ALIAS.upc);
-        const manufacturerPick = pickField(r, ALIAS.manufacturer);
-        const modelPick = pickField(r, ALIAS.model);
-        const typePick = pickField(r, ALIAS.type);
-        const caliberPick = pickField(r, ALIAS.caliber);
-        const importerPick = pickField(r, ALIAS.importer);
-        const countryPick = pickField(r, ALIAS.country);
-
-        const upcRaw = upcPick.value;
-        const m = manufacturerPick.value;
-        const mo = modelPick.value;
-        const t = typePick.value;
-        const c = caliberPick.value;
-        const im = importerPick.value;
-        const co = countryPick.value;
-
-        const d = normDigits(upcRaw);
-
-        const baseRow = {
-          UPC: upcRaw,
-          Manufacturer: m,
-          Model: mo,
-          Type: t,
-          Caliber: c,
-          Importer: im,
-          Country: co,
-        };
-
-        Object.entries(r).forEach(([key, value]) => {
-          const lower = key.toLowerCase();
-          if (![
-            "upc",
-            "manufacturer",
-            "model",
-            "type",
-            "caliber",
-            "importer",
-            "country",
-            "status",
-          ].includes(lower)) {
-            baseRow[key] = value;
+      const manufacturerAliases = await loadManufacturerAliases(supabase);
+      const options = { thresholds, optionalFields, manufacturerAliases };
+      const callbacks = {
+        onProgress: setProgress,
+        onResults: appendResults,
+        onCacheStatus: setCacheStatus,
+      };
+      const verifiable = (chunkRows) => (includeMalformed ? chunkRows : chunkRows.filter((row) => !isMalformedRow(row)));
+      const tagged = (source, chunkRows) =>
+        sources.length > 1
+          ? tagRowSource(chunkRows, { id: source.id, file: sourceLabel(source), location: source.location.trim() })
+          : chunkRows;
+      const runSettings = { useCache, accessToken: session?.access_token };
+      let run;
+      if (sources.length === 1 && !sources[0].streaming) {
+        run = startVerification(verifiable(sources[0].rows), options, callbacks, runSettings);
+        runRef.current = run;
+      } else {
+        const compactVerified = sources.some((source) => source.streaming);
+        run = startStreamingVerification(options, callbacks, { ...runSettings, compactVerified });
+        runRef.current = run;
+        const total = sources.some((source) => source.streaming) ? null : totalRows;
+        let read = 0;
+        setRowsRead(0);
+        for (const source of sources) {
+          setReadingSource(sourceLabel(source));
+          if (!source.streaming) {
+            read += source.rows.length;
+            setRowsRead(read);
+            if (!(await run.push(verifiable(tagged(source, source.rows)), total))) break;
+            continue;
           }
-        });
-
-        const normalizedCore = {
-          manufacturer: normManufacturer(m),
-          model: normModel(mo),
-          type: normType(t),
-          caliber: normCaliber(c),
-        };
-
-        const toCanonical = {
-          manufacturer: "Manufacturer",
-          model: "Model",
-          type: "Type",
-          caliber: "Caliber",
-        };
-
-        const collectMeta = (meta, canonicalKey, pick, expectedValue, reason) => {
-          const actualStr = pick.value === undefined || pick.value === null ? "" : String(pick.value).trim();
-          const expectedStr = expectedValue === undefined || expectedValue === null ? "" : String(expectedValue).trim();
-          meta[canonicalKey] = {
-            state: "mismatch",
-            expected: expectedStr,
-            actual: actualStr,
-            reason: reason || "Mismatch",
+          const readBefore = read;
+          const onChunk = (chunkRows, { rowsRead: sourceRead, summary }) => {
+            read = readBefore + sourceRead;
+            setRowsRead(read);
+            updateSource(source.id, { summary });
+            return run.push(verifiable(tagged(source, chunkRows)));
           };
-        };
-
-        const comboKey = `${normalizedCore.manufacturer}::${normalizedCore.model}::${normalizedCore.type}::${normalizedCore.caliber}`;
-        const coreCandidates = atfCandidateMap.get(comboKey) || [];
-
-        let candidates = [];
-        let candidateSource = "none";
-
-        if (d) {
-          const upcCandidates = upcMap.get(d) || [];
-          if (upcCandidates.length > 0) {
-            candidates = upcCandidates;
-            candidateSource = "upc";
-          } else if (coreCandidates.length > 0) {
-            candidates = coreCandidates;
-            candidateSource = "atf";
-          }
-        } else if (coreCandidates.length > 0) {
-          candidates = coreCandidates;
-          candidateSource = "atf";
-        }
-
-        const compareField = (actual, expected, comparator) => {
-          const actualStr = normalizeCell(actual);
-          const expectedStr = normalizeCell(expected);
-          const hasActual = actualStr !== "";
-          const hasExpected = expectedStr !== "";
-          let match = true;
-          let reason = "";
-
-          if (!hasActual && hasExpected) {
-            match = false;
-            reason = "Missing value";
-          } else if (hasActual && hasExpected) {
-            const comparatorFn = comparator || ((a, b) => norm(a) === norm(b));
-            match = comparatorFn(actualStr, expectedStr);
-            if (!match) {
-              reason = `Expected "${expectedStr}"`;
-            }
-          }
-
-          return { match, reason, actualStr, expectedStr };
-        };
-
-        if (!candidates || candidates.length === 0) {
-          const fallbackKey = `${normalizedCore.manufacturer}::${normalizedCore.model}`;
-          const fallbackCandidates = atfManufacturerModelMap.get(fallbackKey) || [];
-          if (fallbackCandidates.length > 0) {
-            const meta = {};
-            const mismatchedCanonicals = [];
-            const compareCoreFields = [
-              { key: "manufacturer", pick: manufacturerPick, comparator: FIELD_COMPARATORS.manufacturer },
-              { key: "model", pick: modelPick, comparator: FIELD_COMPARATORS.model },
-              { key: "type", pick: typePick, comparator: FIELD_COMPARATORS.type },
-              { key: "caliber", pick: caliberPick, comparator: FIELD_COMPARATORS.caliber },
-            ];
-
-            compareCoreFields.forEach(({ key, pick, comparator }) => {
-              const hasMatch = fallbackCandidates.some((candidateRow) => compareField(pick.value, candidateRow?.[key], comparator).match);
-              if (!hasMatch) {
-                mismatchedCanonicals.push(toCanonical[key]);
-                const expectedValue = fallbackCandidates[0]?.[key];
-                collectMeta(meta, toCanonical[key], pick, expectedValue, "Catalog value differs");
-              }
-            });
-
-            const status =
-              mismatchedCanonicals.length === 0
-                ? "VERIFIED ✅ (ATF match)"
-                : `NOT VERIFIED ⚠️ (${mismatchedCanonicals.join(", ")})`;
-
-            return {
-              ...baseRow,
-              Status: status,
-              [META_KEY]: meta,
-            };
-          }
-
-          console.log("ATF lookup miss", {
-            upload: {
-              manufacturer: m,
-              model: mo,
-              type: t,
-              caliber: c,
-              normalized: `${normalizedCore.manufacturer}::${normalizedCore.model}::${normalizedCore.type}::${normalizedCore.caliber}`,
-            },
-            candidateCount: candidates.length,
+          const readOptions = { mapping: source.mapping, ...source.readSettings };
+          const parsed = await streamUploadRows(source.uploadFile, onChunk, readOptions).catch((e) => {
+            run.cancel();
+            throw e;
           });
-          const meta = {};
-          const missReason = "No catalog record matched these normalized fields";
-          collectMeta(meta, "Manufacturer", manufacturerPick, "", missReason);
-          collectMeta(meta, "Model", modelPick, "", missReason);
-          collectMeta(meta, "Type", typePick, "", missReason);
-          collectMeta(meta, "Caliber", caliberPick, "", missReason);
-          return {
-            ...baseRow,
-            Status: "UNKNOWN ⚠️ (No catalog match)",
-            [META_KEY]: meta,
-          };
+          if (parsed.aborted) break;
         }
+        run.end();
+      }
+      const debug = await run.done;
+      if (debug) setDebugInfo(debug);
+    } catch (e) {
+      setError(e.message || "Verification failed.");
+    } finally {
+      runRef.current = null;
+      flushResults();
+      setLoading(false);
+      setProgress(null);
+    }
+  };
 
-        const matchesCore = (row) =>
-          normalizedCore.manufacturer === normManufacturer(row?.manufacturer) &&
-          normalizedCore.model === normModel(row?.model) &&
-          normalizedCore.type === normType(row?.type) &&
-          normalizedCore.caliber === normCaliber(row?.caliber);
-
-        const coreFields = [
-          { key: "manufacturer", pick: manufacturerPick, comparator: FIELD_COMPARATORS.manufacturer },
-          { key: "model", pick: modelPick, comparator: FIELD_COMPARATORS.model },
-          { key: "type", pick: typePick, comparator: FIELD_COMPARATORS.type },
-          { key: "caliber", pick: caliberPick, comparator: FIELD_COMPARATORS.caliber },
-        ];
-
-        const usingUPCMatch = d && candidateSource === "upc";
-        const upcMissingButAtfFallback = d && candidateSource === "atf";
-
-        if (usingUPCMatch) {
-          const upcCandidates = candidates;
-          if (!upcCandidates || upcCandidates.length === 0) {
-            const meta = {};
-            collectMeta(meta, "UPC", upcPick, "", "No catalog record with this UPC");
-            return {
-              ...baseRow,
-              Status: "NOT VERIFIED ⚠️ (UPC)",
-              [META_KEY]: meta,
-            };
-          }
-
-          const exactMatch = upcCandidates.find(matchesCore);
-          const best = exactMatch ?? upcCandidates[0];
-          const meta = {};
-          const mismatchedCanonicals = [];
-
-          coreFields.forEach(({ key, pick, comparator }) => {
-            const { match } = compareField(pick.value, best?.[key], comparator);
-            if (!match) {
-              const label = toCanonical[key];
-              mismatchedCanonicals.push(label);
-              collectMeta(meta, label, pick, best?.[key], "Catalog value differs");
-            }
-          });
-
-          const status =
-            mismatchedCanonicals.length === 0
-              ? "VERIFIED ✅ (UPC & ATF match)"
-              : `NOT VERIFIED ⚠️ (${mismatchedCanonicals.join(", ")})`;
-
-          return {
-            ...baseRow,
-            Status: status,
-            [META_KEY]: meta,
-          };
-        }
+  const cancelVerification = () => {
+    if (!runRef.current) return;
+    runRef.current.cancel();
+    setCancelled(true);
+  };
 
-        // ATF-only validation (no UPC match, or UPC not found but ATF fields match)
-        const exactMatches = candidates.filter(matchesCore);
-
-        if (exactMatches.length >= 1) {
-          if (upcMissingButAtfFallback) {
-            const meta = {};
-            collectMeta(
-              meta,
-              "UPC",
-              upcPick,
-              "",
-              "UPC not found in catalog; matched by ATF fields"
-            );
-            return {
-              ...baseRow,
-              Status: "NOT VERIFIED ⚠️ (ATF match, UPC unknown)",
-              [META_KEY]: meta,
-            };
-          }
-          return {
-            ...baseRow,
-            Status: "VERIFIED ✅ (ATF match)",
-            [META_KEY]: {},
-          };
-        }
+  const toggleUseCache = () => {
+    localStorage.setItem(CACHE_PREFERENCE_KEY, useCache ? "0" : "1");
+    setUseCache(!useCache);
+  };
 
-        const annotateFields = (fieldsToFlag, referenceRow, reason) => {
-          const meta = {};
-          fieldsToFlag.forEach((fieldKey) => {
-            const label = toCanonical[fieldKey];
-            const pick =
-              fieldKey === "manufacturer"
-                ? manufacturerPick
-                : fieldKey === "model"
-                ? modelPick
-                : fieldKey === "type"
-                ? typePick
-                : caliberPick;
-            collectMeta(meta, label, pick, referenceRow?.[fieldKey], reason);
-          });
-          return meta;
-        };
-
-        const bestPartial = candidates
-          .map((row) => {
-            const matchingKeys = coreFields
-              .filter(({ key, pick, comparator }) => compareField(pick.value, row?.[key], comparator).match)
-              .map(({ key }) => key);
-            return { row, matchingKeys };
-          })
-          .sort((a, b) => b.matchingKeys.length - a.matchingKeys.length)[0];
-
-        const matchedCount = bestPartial?.matchingKeys.length ?? 0;
-        const unmatchedFields = coreFields
-          .map(({ key }) => key)
-          .filter((key) => !(bestPartial?.matchingKeys || []).includes(key));
-
-        const mismatchLabels = unmatchedFields.map((key) => toCanonical[key]);
-        const meta = annotateFields(unmatchedFields, bestPartial?.row, matchedCount > 0 ? "Closest catalog match differs" : "No catalog match");
-
-        const status =
-          mismatchLabels.length > 0
-            ? `NOT VERIFIED ⚠️ (${mismatchLabels.join(", ")})`
-            : "NOT VERIFIED ⚠️ (Manufacturer, Model, Type, Caliber)";
-
-        return {
-          ...baseRow,
-          Status: status,
-          [META_KEY]: meta,
-        };
-      });
+  // Re-download the whole catalog into the local cache
+  const forceRefreshCache = async () => {
+    setRefreshingCache(true);
+    setError("");
+    try {
+      setCacheStatus(
+        await syncCatalogCache({ force: true, onProgress: setProgress, accessToken: session?.access_token })
+      );
+    } catch (e) {
+      setError(e.message || "Catalog refresh failed.");
+    } finally {
+      setRefreshingCache(false);
+      setProgress(null);
+    }
+  };
 
-      setResults(checked);
+  const formatAge = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} days ago`;
+  };
 
-      // ---------- debug info ----------
-      const unknownWithUPC = checked.filter((r) => String(r.Status).includes("UNKNOWN") && normDigits(r.UPC) !== "");
+  const progressLabel = ({ phase, done, total }) => {
+    if (phase === PROGRESS_PHASE.SYNC) return `Syncing catalog cache (${done} rows changed)...`;
+    if (phase === PROGRESS_PHASE.INDEX) return `Indexing the local catalog cache (${total} rows)...`;
+    if (phase === PROGRESS_PHASE.CATALOG) return "Looking up catalog candidates...";
+    return total === null ? `Matching rows (${done} so far)...` : `Matching rows ${done} of ${total}`;
+  };
 
-      let duplicateHitCount = 0;
-      for (const k of upcMap.keys()) {
-        if ((upcMap.get(k) || []).length > 1) duplicateHitCount++;
-      }
+  // ---------- downloads ----------
+  const downloadCSV = () => {
+    if (results.length === 0) return;
+    saveCSV(results.map(toExportRow), "ffl-verifier-results.csv");
+  };
 
-      setDebugInfo({
-        uploadPreview: previewUploadUPCs,
-        catalogPreview: (catalogUpc || []).slice(0, 10).map((c) => ({
-          raw: c.upc ?? "",
-          digits: normDigits(c.upc ?? ""),
-          strict: strip0(normDigits(c.upc ?? "")),
-        })),
-        unknownUPCCount: unknownWithUPC.length,
-        duplicateCatalogUpcKeys: duplicateHitCount,
-        atfOnlyRows: rows.filter((r) => !normDigits(firstVal(r, ALIAS.upc))).length,
-      });
+  // Status colors, mismatch highlights with the expected values as comments, and a summary sheet
+  const downloadWorkbook = async () => {
+    if (results.length === 0) return;
+    try {
+      await saveResultsWorkbook(results, "ffl-verifier-results.xlsx");
     } catch (e) {
-      setError(e.message || "Verification failed.");
-    } finally {
-      setLoading(false);
+      setError(e.message || "Could not write the Excel file.");
     }
   };
 
-  // ---------- download CSV helper ----------
-  const downloadCSV = () => {
-    if (results.length === 0) return;
-    const headers = Object.keys(results[0]).filter((h) => h !== META_KEY);
-    const rowsCsv = results.map((r) => headers.map((h) => JSON.stringify(r[h] ?? "")).join(","));
-    const csvContent = [headers.join(","), ...rowsCsv].join("\n");
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    link.href = URL.createObjectURL(blob);
-    link.download = "ffl-verifier-results.csv";
-    link.click();
+  const downloadSourceSummary = () => {
+    const summaryRows = summarizeBySource(results).map((source) => ({
+      "Source File": source.file,
+      "Source Location": source.location,
+      Rows: source.total,
+      ...Object.fromEntries(STATUS_GROUPS.map((group) => [group, source[group]])),
+    }));
+    if (summaryRows.length > 0) saveCSV(summaryRows, "ffl-verifier-summary-by-source.csv");
   };
 
   // ---------- summary counts ----------
   const stats = (() => {
     const total = results.length;
     if (!total) return { total: 0, verified: 0, notVerified: 0, unknown: 0, pv: 0, pnv: 0, pu: 0 };
-    const verified = results.filter((r) => String(r.Status).includes("VERIFIED ✅")).length;
-    const notVerified = results.filter((r) => {
-      const text = String(r.Status);
-      return text.includes("NOT VERIFIED") || text.includes("ATF MATCH");
-    }).length;
-    const unknown = results.filter((r) => String(r.Status).includes("UNKNOWN")).length;
+    const verified = results.filter((r) => statusGroup(r.status) === "VERIFIED").length;
+    const notVerified = results.filter((r) => statusGroup(r.status) === "NOT VERIFIED").length;
+    const unknown = results.filter((r) => statusGroup(r.status) === "UNKNOWN").length;
     const pct = (n) => Math.round((n / total) * 100);
     return { total, verified, notVerified, unknown, pv: pct(verified), pnv: pct(notVerified), pu: pct(unknown) };
   })();
@@ -579,30 +540,6 @@ export default function UploadPage() {
     },
   ];
 
-  const getStatusPill = (statusText) => {
-    const normalized = String(statusText || "");
-    if (normalized.includes("VERIFIED ✅")) {
-      return { icon: "✅", label: "Verified", className: "pill-success" };
-    }
-    if (normalized.includes("ATF match, UPC unknown")) {
-      return { icon: "⚠️", label: "ATF match / UPC unknown", className: "pill-warning" };
-    }
-    if (normalized.includes("NOT VERIFIED")) {
-      return { icon: "🔴", label: "Not verified", className: "pill-error" };
-    }
-    if (normalized.includes("UNKNOWN")) {
-      return { icon: "🛈", label: "Unknown", className: "pill-unknown" };
-    }
-    return { icon: "🛈", label: normalized || "Unknown", className: "pill-unknown" };
-  };
-
-  const statusKeyForRow = (status) => {
-    const text = String(status || "");
-    if (text.includes("NOT VERIFIED") || text.includes("ATF MATCH")) return "NOT VERIFIED";
-    if (text.includes("VERIFIED ✅")) return "VERIFIED";
-    return "UNKNOWN";
-  };
-
   const toggleStatusFilter = (key) => {
     setActiveStatusFilters((prev) => {
       const isActive = prev.includes(key);
@@ -614,13 +551,39 @@ export default function UploadPage() {
     });
   };
 
-  const resetStatusFilters = () => setActiveStatusFilters(["VERIFIED", "NOT VERIFIED", "UNKNOWN"]);
+  const resetStatusFilters = () => setActiveStatusFilters(STATUS_GROUPS);
 
-  const filteredResults = results.filter((row) => activeStatusFilters.includes(statusKeyForRow(row.Status)));
+  const toggleSourceFilter = (id) =>
+    setHiddenSources((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
 
-  const canonicalHeaders = ["Status", "Manufacturer", "Model", "Type", "Caliber", "UPC", "Importer", "Country"];
+  const filteredResults = results.filter(
+    (row) =>
+      activeStatusFilters.includes(statusGroup(row.status)) && !(row.origin && hiddenSources.includes(row.origin.id))
+  );
 
-  const dynamicKeys = results.length ? Object.keys(results[0]).filter((k) => k !== META_KEY) : [];
+  const canonicalHeaders = [
+    "Status",
+    "Confidence",
+    ...Object.keys(ORIGIN_COLUMNS),
+    "Manufacturer",
+    "Model",
+    "Type",
+    "Caliber",
+    "UPC",
+    "Importer",
+    "Country",
+    "Serial",
+  ];
+
+  // Columns of the first result of each source file
+  const firstBySource = new Map();
+  results.forEach((r) => {
+    if (!firstBySource.has(r.origin?.id)) firstBySource.set(r.origin?.id, r);
+  });
+  const valueKeys = new Set([...firstBySource.values()].flatMap((r) => Object.keys(r.values)));
+  const dynamicKeys = results.length
+    ? ["Status", "Confidence", ...(results[0].origin ? Object.keys(ORIGIN_COLUMNS) : []), ...valueKeys]
+    : [];
 
   const canonicalInDataset = canonicalHeaders
     .map((header) => {
@@ -635,10 +598,31 @@ export default function UploadPage() {
 
   const tableHeaders = [...canonicalInDataset, ...extraHeaders];
 
+  // Review can never sit above auto-verify: lowering verify pulls review down with it, raising review stops at verify.
+  const updateThreshold = (key, percentValue) => {
+    const value = Math.min(100, Math.max(0, Number(percentValue) || 0)) / 100;
+    setThresholds((prev) =>
+      key === "verify"
+        ? { ...prev, verify: value, review: Math.min(prev.review, value) }
+        : { ...prev, review: Math.min(value, prev.verify) }
+    );
+  };
+
+  // The lookup API never widens its fuzzy search below the default review threshold.
+  const reviewFloor = Math.round(DEFAULT_THRESHOLDS.review * 100);
+
+  const toggleOptionalField = (key) => {
+    setOptionalFields((prev) => (prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]));
+  };
+
   // ---------- UI ----------
   return (
     <main style={{ fontFamily: "sans-serif", padding: "40px" }}>
       <h1>FFL Verifier — Upload Tool</h1>
+      <p style={{ marginTop: -8, fontSize: 14 }}>
+        <Link href="/aliases">Manage manufacturer aliases</Link> · <Link href="/scan">Counter scan mode</Link>
+      </p>
+      <SignIn session={session} reason="Sign in to verify against the catalog and to save import profiles." />
 
       <div
         style={{
@@ -649,15 +633,59 @@ export default function UploadPage() {
           marginBottom: 16,
         }}
       >
-        <input type="file" accept=".csv" onChange={handleFile} />
+        <input type="file" multiple accept={UPLOAD_ACCEPT} onChange={handleFiles} disabled={loading} />
         <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
           <button
             onClick={verifyData}
-            disabled={rows.length === 0 || loading}
+            disabled={!sourcesReady || loading || !canVerify}
             style={{ padding: "6px 12px", cursor: "pointer" }}
           >
             {loading ? "Verifying..." : "Run Verification"}
           </button>
+          {loading && (
+            <button type="button" onClick={cancelVerification} style={{ padding: "6px 12px", cursor: "pointer" }}>
+              Cancel
+            </button>
+          )}
+          <label style={{ fontSize: 13 }}>
+            Auto-verify ≥{" "}
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={Math.round(thresholds.verify * 100)}
+              onChange={(e) => updateThreshold("verify", e.target.value)}
+              style={{ width: 52 }}
+            />
+            %
+          </label>
+          <label style={{ fontSize: 13 }}>
+            Review ≥{" "}
+            <input
+              type="number"
+              min={0}
+              max={Math.round(thresholds.verify * 100)}
+              value={Math.round(thresholds.review * 100)}
+              onChange={(e) => updateThreshold("review", e.target.value)}
+              style={{ width: 52 }}
+            />
+            %
+          </label>
+          {!useCache && Math.round(thresholds.review * 100) < reviewFloor && (
+            <span style={{ fontSize: 12, color: "#92400e" }}>
+              Catalog lookups still search at ≥ {reviewFloor}% similarity; use the local cache to review below that.
+            </span>
+          )}
+          {OPTIONAL_FIELDS.map((key) => (
+            <label key={key} style={{ fontSize: 13 }}>
+              <input
+                type="checkbox"
+                checked={optionalFields.includes(key)}
+                onChange={() => toggleOptionalField(key)}
+              />{" "}
+              Verify {FIELD_LABELS[key].toLowerCase()}
+            </label>
+          ))}
           {results.length > 0 && (
             <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
               {statusFilters.map(({ key, label, baseStyle }) => {
@@ -706,8 +734,148 @@ export default function UploadPage() {
         </div>
       </div>
 
+      <details className="paste-rows">
+        <summary>Paste rows instead of uploading a file</summary>
+        <textarea
+          value={pasteText}
+          onChange={(e) => setPasteText(e.target.value)}
+          placeholder="Rows copied from a spreadsheet or email: tab- or comma-separated, with or without a header row"
+          rows={6}
+          disabled={loading}
+        />
+        <button type="button" onClick={addPastedRows} disabled={loading || !pasteText.trim()}>
+          Add pasted rows
+        </button>
+        {pasteNotice && <span className="paste-notice">{pasteNotice}</span>}
+      </details>
+
+      <UploadSources
+        sources={sources}
+        activeId={activeSourceId}
+        onSelect={setActiveSourceId}
+        onRemove={removeSource}
+        onLocationChange={(id, location) => updateSource(id, { location })}
+        onSheetChange={changeSheet}
+        onToggleStream={toggleStreamUpload}
+        disabled={loading}
+      />
+
+      {active && (
+        <ImportProfiles
+          profiles={importProfiles}
+          profileId={active.profileId}
+          detected={active.detected}
+          settings={active.settings}
+          format={active.format}
+          onSelect={selectImportProfile}
+          onSettingsChange={changeImportSettings}
+          onSave={saveCurrentProfile}
+          onDelete={removeProfile}
+          canSave={Boolean(active.mapping)}
+          signedIn={Boolean(session)}
+          fixedFormat={isWrittenCsv(active)}
+          disabled={loading}
+        />
+      )}
+      {profileNotice && <p style={{ margin: "0 0 12px", fontSize: 13, color: "#475467" }}>{profileNotice}</p>}
+
+      {active?.mapping && (
+        <ColumnMapper
+          headers={active.headers}
+          suggestions={active.suggestions}
+          mapping={active.mapping}
+          previewRows={active.previewRows}
+          transforms={active.settings.transforms}
+          onChange={changeColumnMapping}
+          disabled={loading}
+        />
+      )}
+
+      {activeSummary && (activeSummary.recoveredBarcodes > 0 || activeSummary.truncatedBarcodes > 0) && (
+        <p style={{ marginTop: 12, fontSize: 14, color: "#475467" }}>
+          Spreadsheet-formatted UPCs: {activeSummary.recoveredBarcodes} recovered
+          {activeSummary.truncatedBarcodes > 0 && (
+            <span style={{ color: "#b42318" }}>
+              {" "}
+              • {activeSummary.truncatedBarcodes} truncated beyond recovery (re-export the UPC column as text)
+            </span>
+          )}
+        </p>
+      )}
+
+      <InputProblems
+        summary={activeSummary}
+        includeMalformed={includeMalformed}
+        onToggleInclude={() => setIncludeMalformed(!includeMalformed)}
+        disabled={loading}
+      />
+
+      {cacheSupported && (
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", fontSize: 13 }}>
+          <label>
+            <input type="checkbox" checked={useCache} onChange={toggleUseCache} /> Use local catalog cache
+          </label>
+          <span style={{ color: cacheStatus?.syncError ? "#aa5b00" : "#475467" }}>
+            {cacheStatus
+              ? `${cacheStatus.rowCount} rows, synced ${formatAge(cacheStatus.syncedAt)}`
+              : "No catalog cached yet"}
+            {cacheStatus?.syncError && ` (not synced: ${cacheStatus.syncError})`}
+            {!session && " — sign in to download or sync the catalog"}
+          </span>
+          <button
+            type="button"
+            onClick={forceRefreshCache}
+            disabled={loading || refreshingCache || !session}
+            style={{ padding: "4px 10px", cursor: "pointer" }}
+          >
+            {refreshingCache ? "Refreshing..." : "Force refresh"}
+          </button>
+        </div>
+      )}
+
+      {loading && rowsRead !== null && (
+        <p style={{ marginTop: 12, marginBottom: 0, fontSize: 13, color: "#475467" }}>
+          Read {rowsRead} rows (current file: {readingSource})
+        </p>
+      )}
+
+      {(loading || refreshingCache) && progress && (
+        <div className="progress">
+          <div className="progress-label">{progressLabel(progress)}</div>
+          <div className="progress-track">
+            <div
+              className={
+                progress.phase === PROGRESS_PHASE.MATCHING && progress.total
+                  ? "progress-bar"
+                  : "progress-bar progress-bar-busy"
+              }
+              style={{
+                width:
+                  progress.phase === PROGRESS_PHASE.MATCHING && progress.total
+                    ? `${Math.round((progress.done / progress.total) * 100)}%`
+                    : "30%",
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      {cancelled && !loading && (
+        <p style={{ marginTop: 12, fontSize: 14, color: "#aa5b00" }}>
+          Verification cancelled after {results.length} of {rowsRead !== null ? `${rowsRead} rows read` : `${totalRows} rows`};
+          the table shows the partial results.
+        </p>
+      )}
+
       {error && <p style={{ color: "red", marginTop: 12 }}>{error}</p>}
 
+      {debugInfo?.failedUpcLookups > 0 && (
+        <p style={{ marginTop: 12, fontSize: 14, color: "#aa5b00" }}>
+          ⚠️ Catalog lookup failed for {debugInfo.failedUpcLookups} UPCs after several retries. Rows without a UPC match
+          because of it are marked NEEDS REVIEW; re-run verification when the connection is stable.
+        </p>
+      )}
+
       {results.length > 0 && (
         <div style={{ marginTop: 20 }}>
           <h3>Results ({filteredResults.length} of {results.length} rows)</h3>
@@ -716,8 +884,21 @@ export default function UploadPage() {
             style={{ margin: "8px 0 12px 0", padding: "6px 12px", cursor: "pointer" }}
           >
             ⬇️ Download Results CSV
+          </button>{" "}
+          <button
+            onClick={downloadWorkbook}
+            style={{ margin: "8px 0 12px 0", padding: "6px 12px", cursor: "pointer" }}
+          >
+            ⬇️ Download Results Excel
           </button>
 
+          <SourceBreakdown
+            results={results}
+            hiddenSources={hiddenSources}
+            onToggle={toggleSourceFilter}
+            onDownload={downloadSourceSummary}
+          />
+
           {/* Legend */}
           <div style={{ marginTop: 6, marginBottom: 10, display: "flex", gap: 16, fontSize: 14 }}>
             <span>
@@ -761,69 +942,7 @@ export default function UploadPage() {
             </span>
           </div>
 
-          <div className="result-card">
-            <div className="result-scroll">
-              <table className="result-table">
-                <thead>
-                  <tr>
-                    {tableHeaders.map((k) => (
-                      <th key={k} style={{ textAlign: "left" }}>
-                        {k}
-                      </th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {filteredResults.map((r, i) => {
-                    const statusText = String(r.Status || "");
-                    const rowMeta = r[META_KEY] || {};
-                    return (
-                      <tr key={i}>
-                        {tableHeaders.map((header) => {
-                          const cellMeta = rowMeta[header];
-                          const isMismatch = cellMeta?.state === "mismatch";
-                          const tooltipParts = [];
-                          if (cellMeta?.reason) tooltipParts.push(cellMeta.reason);
-                          if (cellMeta?.expected) tooltipParts.push(`Expected: ${cellMeta.expected}`);
-                          const title = tooltipParts.length > 0 ? tooltipParts.join(" • ") : undefined;
-                          const isStatusColumn = header.toLowerCase() === "status";
-                          const pill = isStatusColumn ? getStatusPill(statusText) : null;
-                          return (
-                            <td key={header} title={title}>
-                              {isStatusColumn ? (
-                                <span className={`status-pill ${pill.className}`}>
-                                  <span className="pill-icon" aria-hidden="true">
-                                    {pill.icon}
-                                  </span>
-                                  <span>{pill.label}</span>
-                                </span>
-                              ) : (
-                                <>
-                                  {String(r[header] ?? "")}
-                                  {isMismatch && (
-                                    <div className="cell-note">
-                                      {cellMeta?.reason || (cellMeta?.expected ? `Expected: ${cellMeta.expected}` : "Mismatch")}
-                                    </div>
-                                  )}
-                                </>
-                              )}
-                            </td>
-                          );
-                        })}
-                      </tr>
-                    );
-                  })}
-                  {filteredResults.length === 0 && (
-                    <tr>
-                      <td colSpan={tableHeaders.length} style={{ padding: 12, textAlign: "center", fontStyle: "italic", color: "#666" }}>
-                        No rows match the selected filters.
-                      </td>
-                    </tr>
-                  )}
-                </tbody>
-              </table>
-            </div>
-          </div>
+          <ResultsGrid results={filteredResults} headers={tableHeaders} />
 
           {/* Debug panel */}
           {debugInfo && (
@@ -831,7 +950,9 @@ export default function UploadPage() {
               <summary style={{ cursor: "pointer", fontWeight: 600 }}>Debug</summary>
               <div style={{ fontFamily: "monospace", fontSize: 12, marginTop: 10 }}>
                 <div>Unknown rows with a UPC: <strong>{debugInfo.unknownUPCCount}</strong></div>
+                <div>Rows with an invalid or truncated UPC: <strong>{debugInfo.invalidUpcCount}</strong></div>
                 <div>Catalog UPC keys with duplicates: <strong>{debugInfo.duplicateCatalogUpcKeys}</strong></div>
+                <div>UPC lookups that failed after retries: <strong>{debugInfo.failedUpcLookups}</strong></div>
                 <div>Rows verified by ATF-only (no UPC): <strong>{debugInfo.atfOnlyRows}</strong></div>
                 <div style={{ marginTop: 8 }}>
                   <div>Uploaded UPCs (first 10):</div>
@@ -848,104 +969,68 @@ export default function UploadPage() {
       )}
 
       <style jsx>{`
-        .status-pill {
-          display: inline-flex;
-          align-items: center;
-          gap: 6px;
-          padding: 4px 12px;
-          border-radius: 999px;
-          font-weight: 600;
-          font-size: 13px;
-          letter-spacing: 0.01em;
-        }
-
-        .pill-icon {
+        .paste-rows {
+          margin-bottom: 16px;
+          max-width: 960px;
           font-size: 14px;
         }
 
-        .pill-success {
-          background: #e6f7ed;
-          color: #166534;
+        .paste-rows summary {
+          cursor: pointer;
         }
 
-        .pill-warning {
-          background: #fff4e5;
-          color: #aa5b00;
+        .paste-rows textarea {
+          display: block;
+          width: 100%;
+          margin: 8px 0;
+          font-family: monospace;
+          font-size: 13px;
         }
 
-        .pill-error {
-          background: #ffe5e9;
-          color: #b42318;
+        .paste-rows button {
+          padding: 6px 12px;
+          cursor: pointer;
         }
 
-        .pill-unknown {
-          background: #edf1f5;
+        .paste-notice {
+          margin-left: 10px;
           color: #475467;
         }
 
-        .cell-note {
-          margin-top: 4px;
-          font-size: 12px;
-          color: #b42318;
-          font-weight: 500;
-        }
-
-        .result-card {
-          border: 1px solid #d8e0eb;
-          border-radius: 12px;
-          box-shadow: 0 18px 24px -18px rgba(15, 23, 42, 0.35);
-          background: #ffffff;
-          overflow: hidden;
-        }
-
-        .result-scroll {
-          max-height: 70vh;
-          overflow: auto;
-        }
-
-        .result-table {
-          width: 100%;
-          border-collapse: separate;
-          border-spacing: 0;
+        .progress {
+          margin-top: 12px;
+          max-width: 520px;
         }
 
-        .result-table thead th {
-          position: sticky;
-          top: 0;
-          background: #f7f9fc;
-          font-size: 12px;
-          text-transform: uppercase;
-          letter-spacing: 0.08em;
-          color: #1f2937;
-          padding: 12px 16px;
-          border-bottom: 1px solid #dfe4ec;
-          z-index: 1;
+        .progress-label {
+          font-size: 13px;
+          color: #475467;
+          margin-bottom: 4px;
         }
 
-        .result-table tbody td {
-          padding: 14px 16px;
-          font-size: 14px;
-          color: #1f2937;
-          border-bottom: 1px solid #eef2f8;
+        .progress-track {
+          height: 8px;
+          border-radius: 999px;
+          background: #edf1f5;
+          overflow: hidden;
         }
 
-        .result-table tbody tr:last-child td {
-          border-bottom: none;
+        .progress-bar {
+          height: 100%;
+          background: #1976d2;
+          transition: width 0.2s ease;
         }
 
-        .result-table tbody tr:hover td {
-          background: #f9fbff;
+        .progress-bar-busy {
+          animation: progress-busy 1.2s ease-in-out infinite;
         }
 
-        @media (max-width: 720px) {
-          .result-table thead th,
-          .result-table tbody td {
-            padding: 10px;
+        @keyframes progress-busy {
+          from {
+            transform: translateX(-100%);
           }
-
-          .status-pill {
-            padding: 4px 10px;
-            font-size: 12px;
+          to {
+            transform: translateX(340%);
           }
         }
       `}</style>
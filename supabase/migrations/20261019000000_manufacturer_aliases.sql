@@ -0,0 +1,24 @@
+-- Manufacturer alias dictionary used by the verifier's manufacturer comparator.
+-- Seeded from lib/data/manufacturerAliases.json via the /aliases admin screen.
+create table if not exists public.manufacturer_aliases (
+  id bigint generated always as identity primary key,
+  alias text not null unique,
+  canonical text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.manufacturer_aliases enable row level security;
+
+-- Everyone verifying reads the aliases; only signed-in users change them, since an alias flips the
+-- manufacturer comparison for every upload.
+create policy "manufacturer_aliases read" on public.manufacturer_aliases
+  for select to anon, authenticated using (true);
+
+create policy "manufacturer_aliases write" on public.manufacturer_aliases
+  for insert to authenticated with check (true);
+
+create policy "manufacturer_aliases update" on public.manufacturer_aliases
+  for update to authenticated using (true) with check (true);
+
+create policy "manufacturer_aliases delete" on public.manufacturer_aliases
+  for delete to authenticated using (true);
@@ -0,0 +1,30 @@
+-- Normalized lookup keys for the catalog so /api/catalog/lookup can fetch candidates by index
+-- instead of the browser paging through the whole table.
+-- Keep the expressions in step with gtinKey() in lib/gtin.js and norm() in lib/normalize.js.
+
+-- GTIN-14 key: digits only, leading zeros dropped, left-padded to 14 (null with no digits or more than 14)
+alter table public.catalog
+  add column if not exists upc_key text generated always as (
+    case
+      when ltrim(regexp_replace(coalesce(upc::text, ''), '\D', '', 'g'), '0') = '' then null
+      when length(ltrim(regexp_replace(coalesce(upc::text, ''), '\D', '', 'g'), '0')) > 14 then null
+      else lpad(ltrim(regexp_replace(coalesce(upc::text, ''), '\D', '', 'g'), '0'), 14, '0')
+    end
+  ) stored;
+
+-- Manufacturer key: upper-cased, letters and digits only. Aliases and company suffixes are resolved
+-- by the lookup route, so editing aliases never requires re-keying the catalog.
+alter table public.catalog
+  add column if not exists manufacturer_key text generated always as (
+    regexp_replace(upper(coalesce(manufacturer, '')), '[^A-Z0-9]', '', 'g')
+  ) stored;
+
+create index if not exists catalog_upc_key_idx on public.catalog (upc_key);
+create index if not exists catalog_manufacturer_key_idx on public.catalog (manufacturer_key);
+
+-- Distinct manufacturer keys, used to resolve aliases and similar spellings server-side
+create or replace view public.catalog_manufacturer_keys as
+  select distinct manufacturer_key from public.catalog where manufacturer_key <> '';
+
+revoke all on public.catalog_manufacturer_keys from anon, authenticated;
+grant select on public.catalog_manufacturer_keys to service_role;
@@ -0,0 +1,58 @@
+-- Change tracking for the browser's catalog cache: /api/catalog/changes returns rows updated
+-- and ids deleted since the client's last sync, paging by (updated_at, id).
+alter table public.catalog
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists catalog_updated_at_idx on public.catalog (updated_at, id);
+
+create or replace function public.touch_catalog_updated_at() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists catalog_touch_updated_at on public.catalog;
+create trigger catalog_touch_updated_at
+  before insert or update on public.catalog
+  for each row execute function public.touch_catalog_updated_at();
+
+-- Tombstones so caches can drop deleted rows; only the service role reads them.
+create table if not exists public.catalog_deletions (
+  catalog_id text primary key,
+  deleted_at timestamptz not null default now()
+);
+
+create index if not exists catalog_deletions_deleted_at_idx on public.catalog_deletions (deleted_at);
+
+alter table public.catalog_deletions enable row level security;
+
+create or replace function public.record_catalog_deletion() returns trigger
+language plpgsql as $$
+begin
+  insert into public.catalog_deletions (catalog_id, deleted_at)
+  values (old.id::text, now())
+  on conflict (catalog_id) do update set deleted_at = excluded.deleted_at;
+  return old;
+end;
+$$;
+
+drop trigger if exists catalog_record_deletion on public.catalog;
+create trigger catalog_record_deletion
+  after delete on public.catalog
+  for each row execute function public.record_catalog_deletion();
+
+-- A re-inserted id drops its tombstone, so a sync re-reading recent deletions keeps the new row.
+create or replace function public.clear_catalog_deletion() returns trigger
+language plpgsql as $$
+begin
+  delete from public.catalog_deletions where catalog_id = new.id::text;
+  return new;
+end;
+$$;
+
+drop trigger if exists catalog_clear_deletion on public.catalog;
+create trigger catalog_clear_deletion
+  after insert on public.catalog
+  for each row execute function public.clear_catalog_deletion();
@@ -0,0 +1,43 @@
+-- Named import profiles for the upload page: how to read one POS / bound-book system's exports.
+-- header_signature is the file's normalized header names, used to pick the profile automatically.
+create table if not exists public.import_profiles (
+  id bigint generated always as identity primary key,
+  name text not null unique,
+  mapping jsonb not null default '{}'::jsonb, -- canonical field -> file column
+  delimiter text not null default '', -- '' = detect
+  encoding text not null default '', -- '' = UTF-8
+  header_row integer not null default 0 check (header_row >= 0), -- lines before the header row
+  transforms jsonb not null default '[]'::jsonb, -- [{ field, op, arg, to }]
+  header_signature text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.touch_import_profiles_updated_at() returns trigger
+language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists import_profiles_touch_updated_at on public.import_profiles;
+create trigger import_profiles_touch_updated_at
+  before update on public.import_profiles
+  for each row execute function public.touch_import_profiles_updated_at();
+
+alter table public.import_profiles enable row level security;
+
+-- Same access as manufacturer_aliases: profiles are auto-applied to everyone's uploads (value
+-- clean-ups included), so only signed-in users change them.
+create policy "import_profiles read" on public.import_profiles
+  for select to anon, authenticated using (true);
+
+create policy "import_profiles write" on public.import_profiles
+  for insert to authenticated with check (true);
+
+create policy "import_profiles update" on public.import_profiles
+  for update to authenticated using (true) with check (true);
+
+create policy "import_profiles delete" on public.import_profiles
+  for delete to authenticated using (true);